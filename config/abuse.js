@@ -0,0 +1,21 @@
+// config/abuse.js
+//
+// Limits for the public booking, waitlist and review endpoints. Each can be
+// tuned through the environment without a code change.
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const MINUTE = 60 * 1000;
+
+module.exports = {
+  bookings: {
+    perIp: { max: envInt('BOOKING_LIMIT_PER_IP', 20), windowMs: envInt('BOOKING_LIMIT_WINDOW_MINUTES', 60) * MINUTE },
+    perPhone: { max: envInt('BOOKING_LIMIT_PER_PHONE', 5), windowMs: envInt('BOOKING_LIMIT_WINDOW_MINUTES', 60) * MINUTE },
+    duplicateWindowMs: envInt('BOOKING_DUPLICATE_WINDOW_SECONDS', 120) * 1000,
+    maxActivePerPhone: envInt('MAX_ACTIVE_BOOKINGS_PER_PHONE', 3) // upcoming pending/confirmed bookings, a series counting once
+  },
+  reviews: {
+    perIp: { max: envInt('REVIEW_LIMIT_PER_IP', 5), windowMs: envInt('REVIEW_LIMIT_WINDOW_MINUTES', 60) * MINUTE },
+    duplicateWindowMs: envInt('REVIEW_DUPLICATE_WINDOW_SECONDS', 600) * 1000
+  }
+};
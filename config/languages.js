@@ -0,0 +1,31 @@
+// config/languages.js
+//
+// Languages customer messages can be written in. Templates are stored per
+// language; anything without a template in the customer's language falls
+// back to DEFAULT_LANGUAGE.
+
+const LANGUAGES = {
+  en: 'en-IN', // English
+  hi: 'hi-IN', // Hindi
+  gu: 'gu-IN' // Gujarati
+};
+
+const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+const DEFAULT_LANGUAGE = LANGUAGE_CODES.includes(process.env.DEFAULT_LANGUAGE)
+  ? process.env.DEFAULT_LANGUAGE
+  : 'en';
+
+/**
+ * Get the locale used to format dates for a language
+ * @param {string} language
+ * @returns {string}
+ */
+const localeFor = (language) => LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+
+module.exports = {
+  LANGUAGES,
+  LANGUAGE_CODES,
+  DEFAULT_LANGUAGE,
+  localeFor
+};
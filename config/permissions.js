@@ -0,0 +1,53 @@
+// config/permissions.js
+//
+// Roles and what each of them may do. Routes ask for a permission rather than
+// a role, so changing who can do what only touches this file.
+
+const ROLES = ['owner', 'manager', 'receptionist', 'stylist', 'customer'];
+
+// Roles issued before RBAC, mapped onto the current ones
+const LEGACY_ROLES = {
+  admin: 'owner',
+  user: 'customer'
+};
+
+const PERMISSIONS = {
+  'bookings:read': ['owner', 'manager', 'receptionist', 'stylist'],
+  'bookings:update': ['owner', 'manager', 'receptionist', 'stylist'], // stylists complete bookings and mark no-shows
+  'bookings:delete': ['owner', 'manager'],
+  'reviews:moderate': ['owner', 'manager'],
+  'services:manage': ['owner', 'manager'],
+  'staff:manage': ['owner', 'manager'],
+  'schedule:manage': ['owner', 'manager'],
+  'timeslots:manage': ['owner', 'manager', 'receptionist'],
+  'availability:repair': ['owner', 'manager'],
+  'waitlist:manage': ['owner', 'manager', 'receptionist'],
+  'templates:manage': ['owner', 'manager'],
+  'messages:manage': ['owner', 'manager', 'receptionist'],
+  'consent:manage': ['owner', 'manager'],
+  'users:manage': ['owner'],
+  'audit:read': ['owner', 'manager']
+};
+
+/**
+ * Map a role from a token or user document onto the current roles
+ * @param {string} role
+ * @returns {string}
+ */
+const normalizeRole = (role) => LEGACY_ROLES[role] || role;
+
+/**
+ * Check whether a role has a permission
+ * @param {string} role
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) =>
+  (PERMISSIONS[permission] || []).includes(normalizeRole(role));
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  normalizeRole,
+  hasPermission
+};
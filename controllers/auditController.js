@@ -0,0 +1,103 @@
+// controllers/auditController.js
+
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Get audit log entries, newest first (Admin)
+ * @route GET /api/admin/audit?actor=&action=&entityType=&entityId=&from=YYYY-MM-DD&to=YYYY-MM-DD&page=1&limit=50
+ */
+exports.getAuditLog = async (req, res) => {
+  try {
+    const { actor, role, action, entityType, entityId, from, to, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+
+    if (actor) {
+      if (!actor.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid actor ID'
+        });
+      }
+      query['actor.userId'] = actor;
+    }
+    if (role) {
+      query['actor.role'] = role;
+    }
+    if (action) {
+      // booking.* matches every booking action
+      query.action = action.endsWith('.*')
+        ? { $regex: `^${action.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.` }
+        : action;
+    }
+    if (entityType) {
+      query['entity.type'] = entityType;
+    }
+    if (entityId) {
+      query['entity.id'] = entityId;
+    }
+
+    if (from || to) {
+      const fromDate = from ? new Date(from + 'T00:00:00.000Z') : null;
+      const toDate = to ? new Date(to + 'T23:59:59.999Z') : null;
+
+      if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date format. Use YYYY-MM-DD'
+        });
+      }
+
+      query.timestamp = {};
+      if (fromDate) query.timestamp.$gte = fromDate;
+      if (toDate) query.timestamp.$lte = toDate;
+    }
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor.userId', 'name email')
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      entries: entries.map(e => ({
+        id: e._id,
+        timestamp: e.timestamp,
+        actor: {
+          user: e.actor?.userId,
+          role: e.actor?.role
+        },
+        action: e.action,
+        entity: e.entity,
+        diff: e.diff,
+        before: e.before,
+        after: e.after,
+        metadata: e.metadata,
+        ip: e.ip,
+        userAgent: e.userAgent
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = exports;
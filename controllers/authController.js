@@ -1,6 +1,19 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const Booking = require('../models/Booking');
 const Joi = require('joi');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  createUserToken,
+  consumeUserToken
+} = require('../utils/tokens');
+const { notify } = require('../utils/notifications');
+const { LANGUAGE_CODES } = require('../config/languages');
+const { requestOtp, verifyOtp } = require('../utils/otp');
+const { linkGuestBookings } = require('../utils/bookings');
 
 const registerSchema = Joi.object({
   name: Joi.string().required(),
@@ -9,6 +22,50 @@ const registerSchema = Joi.object({
   phone: Joi.string()
 });
 
+const otpRequestSchema = Joi.object({
+  phone: Joi.string().pattern(/^[0-9]{10}$/).required()
+});
+
+const otpVerifySchema = Joi.object({
+  phone: Joi.string().pattern(/^[0-9]{10}$/).required(),
+  code: Joi.string().pattern(/^[0-9]{6}$/).required(),
+  name: Joi.string().min(2).max(100)
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+const emailSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const tokenSchema = Joi.object({
+  token: Joi.string().hex().length(64).required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().hex().length(64).required(),
+  password: Joi.string().min(6).required()
+});
+
+const updateMeSchema = Joi.object({
+  name: Joi.string().min(2).max(100),
+  language: Joi.string().valid(...LANGUAGE_CODES)
+}).min(1);
+
+const RESET_TOKEN_MINUTES = 30;
+const VERIFY_TOKEN_HOURS = 24;
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'https://beauty-parlour-delta.vercel.app';
+
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user._id, 'email_verification', VERIFY_TOKEN_HOURS * 60);
+  const link = `${frontendUrl()}/verify-email?token=${token}`;
+
+  await notify('auth.verify_email', { user, link, ttlHours: VERIFY_TOKEN_HOURS });
+};
+
 exports.register = async (req, res) => {
   const { error } = registerSchema.validate(req.body);
   if (error) return res.status(400).json({ message: error.details[0].message });
@@ -17,11 +74,15 @@ exports.register = async (req, res) => {
     let user = await User.findOne({ email: req.body.email });
     if (user) return res.status(400).json({ message: 'User exists' });
 
-    user = new User(req.body);
+    user = new User({ ...req.body, emailVerified: false });
     await user.save();
 
-    const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET);
-    res.status(201).json({ token });
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('❌ Email error:', mailError.message); // they can ask for the link again
+    }
+    res.status(201).json({ message: 'Account created. Please check your email to verify it before logging in.' });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -34,9 +95,183 @@ exports.login = async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET);
-    res.json({ token });
+    if (user.emailVerified === false) {
+      return res.status(403).json({ message: 'Please verify your email before logging in' });
+    }
+
+    res.json(await issueTokens(user, req));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+exports.verifyEmail = async (req, res) => {
+  const { error } = tokenSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const used = await consumeUserToken(req.body.token, 'email_verification');
+    if (!used) return res.status(400).json({ message: 'Link is invalid or has expired' });
+
+    await User.updateOne({ _id: used.userId }, { $set: { emailVerified: true } });
+    res.json({ message: 'Email verified. You can now log in.' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Same response whether or not the account exists, so emails can't be probed
+exports.resendVerification = async (req, res) => {
+  const { error } = emailSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user && user.emailVerified === false) {
+      await sendVerificationEmail(user);
+    }
+    res.json({ message: 'If the account needs verifying, a new link has been sent' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+exports.forgotPassword = async (req, res) => {
+  const { error } = emailSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      const token = await createUserToken(user._id, 'password_reset', RESET_TOKEN_MINUTES);
+      const link = `${frontendUrl()}/reset-password?token=${token}`;
+
+      await notify('auth.password_reset', { user, link, ttlMinutes: RESET_TOKEN_MINUTES });
+    }
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// A reset proves access to the mailbox, so it also verifies the email,
+// and it signs out every existing session
+exports.resetPassword = async (req, res) => {
+  const { error } = resetPasswordSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const used = await consumeUserToken(req.body.token, 'password_reset');
+    if (!used) return res.status(400).json({ message: 'Link is invalid or has expired' });
+
+    const user = await User.findById(used.userId);
+    if (!user) return res.status(400).json({ message: 'Link is invalid or has expired' });
+
+    user.password = req.body.password;
+    user.emailVerified = true;
+    await user.save();
+
+    await revokeAllSessions(user._id, 'password_reset');
+    res.json({ message: 'Password updated. Please log in with your new password.' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+exports.me = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('-password');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const permissions = Object.keys(PERMISSIONS).filter(p => hasPermission(user.role, p));
+    res.json({ id: user._id, name: user.name, email: user.email, phone: user.phone, role: user.role, language: user.language, permissions });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+exports.updateMe = async (req, res) => {
+  const { error, value } = updateMeSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: value }, { new: true, runValidators: true });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    res.json({ id: user._id, name: user.name, email: user.email, phone: user.phone, role: user.role, language: user.language });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+exports.requestOtp = async (req, res) => {
+  const { error } = otpRequestSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const { expiresAt } = await requestOtp(req.body.phone);
+    res.json({ message: 'Code sent', expiresAt });
+  } catch (err) {
+    if (err.statusCode === 429) return res.status(429).json({ message: err.message });
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Signs in (or signs up) a customer by phone; guest bookings made with the
+// number are linked to the account when it is created. Only an account whose
+// phone was already verified is signed into: an account that merely lists the
+// number (e.g. registered with someone else's) never gets it verified here.
+exports.verifyOtp = async (req, res) => {
+  const { error } = otpVerifySchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const { phone, code, name } = req.body;
+    await verifyOtp(phone, code);
+
+    let user = await User.findOne({ phone, phoneVerified: true, role: 'customer' }).sort({ createdAt: 1 });
+
+    let linkedBookings = 0;
+    if (!user) {
+      const lastBooking = await Booking.findOne({ phone }).sort({ createdAt: -1 }).select('name');
+      user = await User.create({ name: name || lastBooking?.name || 'Guest', phone, phoneVerified: true, role: 'customer' });
+      linkedBookings = await linkGuestBookings(user);
+    }
+
+    res.json({ ...(await issueTokens(user, req)), linkedBookings });
+  } catch (err) {
+    if (err.statusCode === 400) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: err.message });
+  }
+};
+
+exports.refresh = async (req, res) => {
+  const { error } = refreshSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const tokens = await rotateRefreshToken(req.body.refreshToken, (id) => User.findById(id));
+    res.json(tokens);
+  } catch (err) {
+    if (err.statusCode === 401) return res.status(401).json({ message: err.message });
+    res.status(500).json({ message: err.message });
+  }
+};
+
+exports.logout = async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, 'logout');
+    res.json({ message: 'Logged out' });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
-};
\ No newline at end of file
+};
+
+exports.logoutAll = async (req, res) => {
+  try {
+    const sessions = await revokeAllSessions(req.user.id, 'logout_all');
+    res.json({ message: 'Logged out of all sessions', sessions });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
@@ -0,0 +1,135 @@
+// controllers/availabilityController.js
+
+const { getAvailability } = require('../utils/availability');
+const { repairTimeSlots } = require('../utils/timeSlots');
+const { recordAudit } = require('../utils/audit');
+
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+const objectIdPattern = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Get bookable start times for a date
+ * Combines opening hours, holidays, admin blocks and existing bookings.
+ * @route GET /api/availability?date=YYYY-MM-DD&serviceId=&serviceIds=a,b&staffId=
+ */
+exports.getAvailability = async (req, res) => {
+  try {
+    const { date, serviceId, staffId } = req.query;
+    const serviceIds = req.query.serviceIds ? req.query.serviceIds.split(',') : undefined;
+
+    if (!date || !datePattern.test(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date parameter is required (format: YYYY-MM-DD)'
+      });
+    }
+
+    if ([serviceId, staffId, ...(serviceIds || [])].some(id => id && !objectIdPattern.test(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid service or staff ID'
+      });
+    }
+
+    const availability = await getAvailability({
+      date: new Date(date + 'T00:00:00.000Z'),
+      serviceIds,
+      serviceId,
+      staffId
+    });
+
+    res.status(200).json({
+      success: true,
+      ...availability
+    });
+
+  } catch (error) {
+    console.error('Error fetching availability:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch availability',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Report TimeSlot documents that disagree with bookings and the schedule
+ * @route GET /api/availability/consistency?from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+exports.checkConsistency = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format. Use YYYY-MM-DD'
+      });
+    }
+
+    const report = await repairTimeSlots({ from, to, dryRun: true });
+
+    res.status(200).json({
+      success: true,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Error checking time slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check time slots',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Rebuild inconsistent TimeSlot documents from bookings and the schedule
+ * @route POST /api/availability/repair
+ */
+exports.repairConsistency = async (req, res) => {
+  try {
+    const { from, to } = req.body;
+
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format. Use YYYY-MM-DD'
+      });
+    }
+
+    const report = await repairTimeSlots({ from, to });
+
+    await recordAudit(req, {
+      action: 'timeslot.repair',
+      entityType: 'timeslot',
+      metadata: { from, to, checked: report.checked, repaired: report.repaired }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Repaired ${report.repaired} of ${report.checked} days`,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Error repairing time slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to repair time slots',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = exports;
@@ -1,37 +1,77 @@
 // controllers/bookingController.js
 
 const Booking = require('../models/Booking');
-const TimeSlot = require('../models/TimeSlot');
+const BookingSeries = require('../models/BookingSeries');
+const crypto = require('crypto');
 const Joi = require('joi');
-
-// Initialize Twilio only if credentials are available
-let twilio;
-if (process.env.TWILIO_SID && process.env.TWILIO_TOKEN) {
-  twilio = require('twilio')(process.env.TWILIO_SID, process.env.TWILIO_TOKEN);
-}
+const { LANGUAGE_CODES } = require('../config/languages');
+const { getServiceTiming, claimSlot, getAvailability } = require('../utils/availability');
+const {
+  refreshTimeSlot,
+  placeBooking,
+  cancelBookings,
+  checkActiveBookingCap,
+  ownBookingsFilter,
+  bookingAccessFilter
+} = require('../utils/bookings');
+const { getManageUrl } = require('../utils/manageLinks');
+const { hashToken } = require('../utils/tokens');
+const { snapshot, isStaffRequest, recordAudit } = require('../utils/audit');
+const { notifyWaitlist } = require('../utils/waitlist');
+const { notify } = require('../utils/notifications');
+const { recordOptIn } = require('../utils/consent');
+const { createReviewLink } = require('../utils/reviews');
+const { canTransition, statusEntry, transitionStatus } = require('../utils/bookingStatus');
+
+// How long a slot is held during checkout before it's released
+const HOLD_MINUTES = parseInt(process.env.HOLD_MINUTES, 10) || 10;
+const MAX_HOLD_MINUTES = 30;
 
 // Validation schemas
 const bookingSchema = Joi.object({
   name: Joi.string().min(2).max(100).required(),
   phone: Joi.string().pattern(/^[0-9]{10}$/).required(),
   email: Joi.string().email().optional().allow(''),
-  service: Joi.string().required(),
-  serviceId: Joi.string().optional(),
+  preferredChannel: Joi.string().valid('whatsapp', 'sms', 'email').optional(),
+  language: Joi.string().valid(...LANGUAGE_CODES).optional(),
+  optIn: Joi.boolean().optional(), // agrees to booking messages on WhatsApp/SMS
+  marketingOptIn: Joi.boolean().optional(),
+  service: Joi.string().when('serviceIds', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() }),
+  serviceId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  serviceIds: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).min(1).max(5).unique().optional(),
+  staffId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
   date: Joi.date().min('now').required(),
   timeSlot: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).optional(),
   time: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).optional(),
-  notes: Joi.string().max(500).optional().allow(''),
-  status: Joi.string().valid('pending', 'confirmed', 'cancelled', 'completed').optional()
+  notes: Joi.string().max(500).optional().allow('')
 }).or('timeSlot', 'time');
 
 const updateBookingSchema = Joi.object({
-  status: Joi.string().valid('pending', 'confirmed', 'cancelled', 'completed').required(),
-  notes: Joi.string().max(500).optional().allow('')
+  status: Joi.string().valid('pending', 'confirmed', 'cancelled', 'completed', 'no_show').required(),
+  notes: Joi.string().max(500).optional().allow(''),
+  reason: Joi.string().max(500).optional().allow('')
 });
 
+const holdSchema = bookingSchema.keys({
+  holdMinutes: Joi.number().integer().min(1).max(MAX_HOLD_MINUTES).optional()
+});
+
+const cancelSchema = Joi.object({
+  // this: only this booking; future: this and later occurrences; series: every remaining occurrence
+  scope: Joi.string().valid('this', 'future', 'series').default('this')
+});
+
+const rescheduleSchema = Joi.object({
+  date: Joi.date().min('now').required(),
+  timeSlot: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).optional(),
+  time: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).optional(),
+  staffId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  reason: Joi.string().max(500).optional().allow('')
+}).or('timeSlot', 'time');
+
 /**
- * Get booked time slots for a specific date
- * @route GET /api/bookings/slots?date=YYYY-MM-DD
+ * Get booked and available time slots for a specific date, per stylist and overall
+ * @route GET /api/bookings/slots?date=YYYY-MM-DD&serviceId=
  */
 exports.getBookedSlots = async (req, res) => {
   try {
@@ -62,30 +102,43 @@ exports.getBookedSlots = async (req, res) => {
       });
     }
 
-    // Create date range for the entire day
-    const startOfDay = new Date(queryDate);
-    startOfDay.setUTCHours(0, 0, 0, 0);
-    const endOfDay = new Date(queryDate);
-    endOfDay.setUTCHours(23, 59, 59, 999);
-
-    // Get booked slots from Booking model
-    const bookings = await Booking.find({ 
-      date: { $gte: startOfDay, $lte: endOfDay },
-      status: { $ne: 'cancelled' }
-    }).select('timeSlot time -_id');
+    const { serviceId } = req.query;
+    const serviceIds = req.query.serviceIds ? req.query.serviceIds.split(',') : undefined;
+    if ([serviceId, ...(serviceIds || [])].some(sid => sid && !/^[0-9a-fA-F]{24}$/.test(sid))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid service ID'
+      });
+    }
 
-    const bookedSlots = bookings
-      .map(b => b.timeSlot || b.time)
-      .filter(slot => slot);
+    // Same computation as GET /api/availability
+    const availability = await getAvailability({ date: queryDate, serviceIds, serviceId });
 
     res.status(200).json({
       success: true,
       date: date,
-      bookedSlots: [...new Set(bookedSlots)]
+      closed: availability.closed,
+      duration: availability.duration,
+      bookedSlots: availability.bookedSlots,
+      availableSlots: availability.availableTimes,
+      staff: availability.staff.map(s => ({
+        id: s.id,
+        name: s.name,
+        bookedSlots: s.bookedSlots,
+        availableSlots: s.availableTimes
+      }))
     });
 
   } catch (error) {
     console.error('Error fetching booked slots:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to fetch booked slots',
@@ -94,23 +147,6 @@ exports.getBookedSlots = async (req, res) => {
   }
 };
 
-/**
- * Format date for WhatsApp message
- * @param {Date} date 
- * @returns {string} Formatted date like "Wed Jan 28 2026"
- */
-const formatDateForWhatsApp = (date) => {
-  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  
-  const dayName = days[date.getDay()];
-  const monthName = months[date.getMonth()];
-  const day = date.getDate();
-  const year = date.getFullYear();
-  
-  return `${dayName} ${monthName} ${day} ${year}`;
-};
-
 /**
  * Create a new booking
  * @route POST /api/bookings
@@ -127,121 +163,36 @@ exports.createBooking = async (req, res) => {
       });
     }
 
-    let { name, phone, email, service, serviceId, date, timeSlot, time, notes, status } = value;
-
-    // Handle both 'timeSlot' and 'time' field names
-    const selectedTime = timeSlot || time;
-    
-    if (!selectedTime) {
-      return res.status(400).json({
+    const capError = await checkActiveBookingCap(value.phone);
+    if (capError) {
+      return res.status(429).json({
         success: false,
-        message: 'Time slot is required'
+        message: capError
       });
     }
 
-    // Convert date string to Date object and normalize to start of day
-    const bookingDate = new Date(date);
-    bookingDate.setUTCHours(0, 0, 0, 0);
+    const { booking, resource, suggestedTimes } = await placeBooking(value);
 
-    // Validate booking is not in the past
-    const today = new Date();
-    today.setUTCHours(0, 0, 0, 0);
-    if (bookingDate < today) {
-      return res.status(400).json({
+    if (!booking) {
+      return res.status(409).json({
         success: false,
-        message: 'Cannot book appointments in the past'
+        message: 'This time slot is already booked. Please select another time.',
+        suggestedTimes,
+        canJoinWaitlist: true
       });
     }
 
-    // Check if slot is available in TimeSlot model (if it exists)
-    try {
-      const slotDoc = await TimeSlot.findOne({ date: bookingDate });
-      if (slotDoc) {
-        const slot = slotDoc.slots.find(s => s.time === selectedTime);
-        
-        if (slot && !slot.available) {
-          return res.status(409).json({
-            success: false,
-            message: 'This time slot is already booked. Please select another time.'
-          });
-        }
-      }
-    } catch (timeSlotError) {
-      console.log('TimeSlot check error:', timeSlotError.message);
-    }
-
-    // Check if slot is already booked in Booking model
-    const existingBooking = await Booking.findOne({
-      date: bookingDate,
-      $or: [
-        { timeSlot: selectedTime },
-        { time: selectedTime }
-      ],
-      status: { $ne: 'cancelled' }
-    });
+    const bookingDate = booking.date;
+    const selectedTime = booking.timeSlot;
 
-    if (existingBooking) {
-      return res.status(409).json({
-        success: false,
-        message: 'This time slot is already booked. Please select another time.'
-      });
-    }
+    // Refresh the day's TimeSlot snapshot (repairable via /api/availability/repair)
+    await refreshTimeSlot(bookingDate);
 
-    // Create new booking with status from request or default to 'confirmed'
-    const bookingData = {
-      name: name.trim(),
-      phone,
-      email: email?.trim() || undefined,
-      service: service.trim(),
-      serviceId: serviceId || undefined,
-      date: bookingDate,
-      timeSlot: selectedTime,
-      time: selectedTime,
-      notes: notes?.trim() || undefined,
-      status: status || 'confirmed' // Default to confirmed if not provided
-    };
-
-    const booking = new Booking(bookingData);
-    await booking.save();
-
-    // Update TimeSlot model if it exists
-    try {
-      await TimeSlot.updateOne(
-        { date: bookingDate, 'slots.time': selectedTime },
-        { 
-          $set: { 
-            'slots.$.available': false, 
-            'slots.$.bookedBy': booking._id 
-          } 
-        }
-      );
-    } catch (timeSlotError) {
-      console.log('TimeSlot update error:', timeSlotError.message);
-    }
-
-    // Send WhatsApp confirmation if Twilio is configured
-    if (twilio && process.env.TWILIO_WHATSAPP_FROM) {
-      try {
-        // Format date like "Wed Jan 28 2026"
-        const formattedDate = formatDateForWhatsApp(bookingDate);
-        
-        // Create message in the exact format requested
-        const message = `Hi ${name}! Your booking for ${service} on ${formattedDate} at ${selectedTime} is confirmed! - Luxe Beauty Studio`;
-        
-        await twilio.messages.create({
-          body: message,
-          from: `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}`,
-          to: `whatsapp:+91${phone}`
-        });
-        
-        console.log('✅ WhatsApp confirmation sent successfully to', phone);
-      } catch (twilioError) {
-        console.error('❌ Twilio error:', twilioError.message);
-        // Don't fail the booking if WhatsApp fails
-      }
-    } else {
-      console.log('⚠️  Twilio not configured - WhatsApp message not sent');
-    }
+    // Before the confirmation, so it can go by WhatsApp/SMS if the customer agreed
+    await recordOptIn(value, 'booking', req);
+
+    // Don't fail the booking if the confirmation can't be sent
+    await notify('booking.confirmed', { booking });
 
     res.status(201).json({
       success: true,
@@ -252,10 +203,15 @@ exports.createBooking = async (req, res) => {
         phone: booking.phone,
         email: booking.email,
         service: booking.service,
+        services: booking.services,
+        totalPrice: booking.totalPrice,
+        staff: resource.staff ? { id: resource.staff._id, name: resource.staff.name } : null,
         date: booking.date.toISOString().split('T')[0],
         timeSlot: selectedTime,
+        duration: booking.duration,
         status: booking.status,
         notes: booking.notes,
+        manageUrl: getManageUrl(booking),
         createdAt: booking.createdAt
       }
     });
@@ -263,6 +219,13 @@ exports.createBooking = async (req, res) => {
   } catch (error) {
     console.error('Error creating booking:', error);
 
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     if (error.code === 11000) {
       return res.status(409).json({
         success: false,
@@ -286,14 +249,234 @@ exports.createBooking = async (req, res) => {
   }
 };
 
+// The hold token returned by createHold, sent back to confirm or release the hold
+const holdTokenFilter = (req) => ({
+  holdTokenHash: hashToken(String(req.header('x-hold-token') || req.body?.holdToken || ''))
+});
+
+/**
+ * Hold a slot for a few minutes while the customer completes checkout
+ * The hold is a pending booking; it must be confirmed before it expires.
+ * Only the caller gets the hold token, and only its hash is stored.
+ * @route POST /api/bookings/hold
+ */
+exports.createHold = async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = holdSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const capError = await checkActiveBookingCap(value.phone);
+    if (capError) {
+      return res.status(429).json({
+        success: false,
+        message: capError
+      });
+    }
+
+    const holdMinutes = value.holdMinutes || HOLD_MINUTES;
+    const holdExpiresAt = new Date(Date.now() + holdMinutes * 60 * 1000);
+    const holdToken = crypto.randomBytes(32).toString('hex');
+
+    const { booking, resource, suggestedTimes } = await placeBooking(value, {
+      status: 'pending',
+      holdExpiresAt,
+      holdTokenHash: hashToken(holdToken)
+    });
+
+    if (!booking) {
+      return res.status(409).json({
+        success: false,
+        message: 'This time slot is already booked. Please select another time.',
+        suggestedTimes
+      });
+    }
+
+    await refreshTimeSlot(booking.date);
+    await recordOptIn(value, 'booking', req);
+
+    res.status(201).json({
+      success: true,
+      message: `Slot held for ${holdMinutes} minutes`,
+      booking: {
+        id: booking._id,
+        service: booking.service,
+        services: booking.services,
+        totalPrice: booking.totalPrice,
+        staff: resource.staff ? { id: resource.staff._id, name: resource.staff.name } : null,
+        date: booking.date.toISOString().split('T')[0],
+        timeSlot: booking.timeSlot,
+        duration: booking.duration,
+        status: booking.status,
+        holdExpiresAt: booking.holdExpiresAt
+      },
+      holdToken
+    });
+
+  } catch (error) {
+    console.error('Error holding slot:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to hold slot',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Confirm a held slot, turning it into a confirmed booking
+ * @route POST /api/bookings/:id/hold/confirm
+ */
+exports.confirmHold = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    // Only an unexpired hold can be confirmed; checked and updated in one step
+    const booking = await Booking.findOneAndUpdate(
+      { _id: id, ...holdTokenFilter(req), status: 'pending', holdExpiresAt: { $gt: new Date() } },
+      {
+        $set: { status: 'confirmed' },
+        $unset: { holdExpiresAt: 1, holdTokenHash: 1 },
+        $push: { statusHistory: statusEntry('pending', 'confirmed', { actor: 'customer', reason: 'Hold confirmed' }) }
+      },
+      { new: true }
+    );
+
+    if (!booking) {
+      const existing = await Booking.findOne({ _id: id, ...holdTokenFilter(req) });
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found'
+        });
+      }
+
+      const expired = existing.holdExpiresAt && existing.holdExpiresAt <= new Date();
+
+      return res.status(expired ? 410 : 400).json({
+        success: false,
+        message: expired
+          ? 'This hold has expired. Please select a time again.'
+          : 'This booking is not an active hold'
+      });
+    }
+
+    await notify('booking.confirmed', { booking });
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking confirmed successfully',
+      booking: {
+        id: booking._id,
+        name: booking.name,
+        status: booking.status,
+        date: booking.date.toISOString().split('T')[0],
+        timeSlot: booking.timeSlot || booking.time,
+        manageUrl: getManageUrl(booking)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error confirming hold:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm booking',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Release a held slot before it expires
+ * @route DELETE /api/bookings/:id/hold
+ */
+exports.releaseHold = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    const booking = await Booking.findOneAndUpdate(
+      { _id: id, ...holdTokenFilter(req), status: 'pending', holdExpiresAt: { $ne: null } },
+      {
+        $set: { status: 'cancelled' },
+        $unset: { holdTokenHash: 1 },
+        $push: { statusHistory: statusEntry('pending', 'cancelled', { actor: 'customer', reason: 'Hold released' }) }
+      },
+      { new: true }
+    );
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hold not found'
+      });
+    }
+
+    await refreshTimeSlot(booking.date);
+    await notifyWaitlist([booking]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Hold released successfully'
+    });
+
+  } catch (error) {
+    console.error('Error releasing hold:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release hold',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get user's bookings
  * @route GET /api/bookings/my-bookings
  */
 exports.getMyBookings = async (req, res) => {
   try {
-    const bookings = await Booking.find({})
+    const bookings = await Booking.find(await ownBookingsFilter(req.user))
       .populate('serviceId', 'name duration')
+      .populate('staffId', 'name')
       .sort({ date: -1, timeSlot: -1 });
 
     res.status(200).json({
@@ -306,6 +489,10 @@ exports.getMyBookings = async (req, res) => {
         email: b.email,
         service: b.service,
         serviceDetails: b.serviceId,
+        services: b.services,
+        totalPrice: b.totalPrice,
+        duration: b.duration,
+        staff: b.staffId,
         date: b.date.toISOString().split('T')[0],
         timeSlot: b.timeSlot || b.time,
         status: b.status,
@@ -367,6 +554,7 @@ exports.getAllBookings = async (req, res) => {
 
     const bookings = await Booking.find(query)
       .populate('serviceId', 'name duration')
+      .populate('staffId', 'name')
       .populate('userId', 'name email phone')
       .sort({ date: -1, timeSlot: 1 })
       .limit(limitNum)
@@ -387,7 +575,12 @@ exports.getAllBookings = async (req, res) => {
         email: b.email || '',
         service: b.service,
         serviceDetails: b.serviceId,
+        services: b.services,
+        totalPrice: b.totalPrice,
+        duration: b.duration,
+        staff: b.staffId,
         user: b.userId,
+        seriesId: b.seriesId,
         date: b.date.toISOString().split('T')[0],
         timeSlot: b.timeSlot || b.time,
         time: b.timeSlot || b.time,
@@ -427,8 +620,9 @@ exports.getBookingById = async (req, res) => {
       });
     }
 
-    const booking = await Booking.findById(id)
+    const booking = await Booking.findOne({ _id: id, ...(await bookingAccessFilter(req.user, 'bookings:read')) })
       .populate('serviceId', 'name duration')
+      .populate('staffId', 'name')
       .populate('userId', 'name email phone');
 
     if (!booking) {
@@ -447,11 +641,18 @@ exports.getBookingById = async (req, res) => {
         email: booking.email,
         service: booking.service,
         serviceDetails: booking.serviceId,
+        services: booking.services,
+        totalPrice: booking.totalPrice,
+        duration: booking.duration,
+        staff: booking.staffId,
         user: booking.userId,
+        seriesId: booking.seriesId,
         date: booking.date.toISOString().split('T')[0],
         timeSlot: booking.timeSlot || booking.time,
         status: booking.status,
         notes: booking.notes,
+        rescheduleHistory: booking.rescheduleHistory,
+        statusHistory: booking.statusHistory,
         createdAt: booking.createdAt,
         updatedAt: booking.updatedAt
       }
@@ -493,91 +694,57 @@ exports.updateBooking = async (req, res) => {
       });
     }
 
-    const { status, notes } = value;
+    const { status, notes, reason } = value;
 
-    const booking = await Booking.findById(id);
+    const existing = await Booking.findById(id);
 
-    if (!booking) {
+    if (!existing) {
       return res.status(404).json({
         success: false,
         message: 'Booking not found'
       });
     }
 
-    const oldStatus = booking.status;
-    booking.status = status;
-    
-    if (notes !== undefined) {
-      booking.notes = notes;
+    const oldStatus = existing.status;
+    const set = notes !== undefined ? { notes } : {};
+
+    // Same status: only the notes change, and there's no status history to add
+    const booking = status === oldStatus
+      ? await Booking.findByIdAndUpdate(id, { $set: set }, { new: true })
+      : await transitionStatus(existing, status, { actor: req.user.role, actorId: req.user.id, reason }, set);
+
+    if (!booking) {
+      return res.status(409).json({
+        success: false,
+        message: 'Booking was changed by someone else. Please try again.'
+      });
     }
-    
-    await booking.save();
 
-    // If booking is cancelled, make the slot available again
-    if (status === 'cancelled' && oldStatus !== 'cancelled') {
-      try {
-        await TimeSlot.updateOne(
-          { date: booking.date, 'slots.time': booking.timeSlot || booking.time },
-          { 
-            $set: { 
-              'slots.$.available': true, 
-              'slots.$.bookedBy': null 
-            } 
-          }
-        );
-      } catch (timeSlotError) {
-        console.log('TimeSlot update error:', timeSlotError.message);
-      }
+    await recordAudit(req, {
+      action: 'booking.update',
+      entityType: 'booking',
+      entityId: booking._id,
+      before: existing,
+      after: booking,
+      metadata: reason ? { reason } : undefined
+    });
 
-      // Send cancellation WhatsApp
-      if (twilio && process.env.TWILIO_WHATSAPP_FROM) {
-        try {
-          const formattedDate = formatDateForWhatsApp(booking.date);
-          
-          await twilio.messages.create({
-            body: `Hi ${booking.name}! Your booking for ${booking.service} on ${formattedDate} at ${booking.timeSlot || booking.time} has been cancelled. - Luxe Beauty Studio`,
-            from: `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}`,
-            to: `whatsapp:+91${booking.phone}`
-          });
-          
-          console.log('✅ Cancellation WhatsApp sent to', booking.phone);
-        } catch (twilioError) {
-          console.error('❌ Twilio error:', twilioError.message);
-        }
-      }
+    // Cancelling or a no-show frees the slot
+    if (status !== oldStatus) {
+      await refreshTimeSlot(booking.date);
     }
 
-    // Send confirmation WhatsApp for status changes to confirmed
-    if (status === 'confirmed' && oldStatus !== 'confirmed' && twilio && process.env.TWILIO_WHATSAPP_FROM) {
-      try {
-        const formattedDate = formatDateForWhatsApp(booking.date);
-        
-        await twilio.messages.create({
-          body: `Hi ${booking.name}! Your booking for ${booking.service} on ${formattedDate} at ${booking.timeSlot || booking.time} is confirmed! - Luxe Beauty Studio`,
-          from: `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}`,
-          to: `whatsapp:+91${booking.phone}`
-        });
-        
-        console.log('✅ Confirmation WhatsApp sent to', booking.phone);
-      } catch (twilioError) {
-        console.error('❌ Twilio error:', twilioError.message);
-      }
+    if (status === 'cancelled' && oldStatus !== 'cancelled') {
+      await notifyWaitlist([booking]);
     }
 
-    // Send completion WhatsApp notification
-    if (status === 'completed' && oldStatus !== 'completed' && twilio && process.env.TWILIO_WHATSAPP_FROM) {
-      try {
-        const formattedDate = formatDateForWhatsApp(booking.date);
-        
-        await twilio.messages.create({
-          body: `Hi ${booking.name}! Thank you for visiting us! Your ${booking.service} service on ${formattedDate} at ${booking.timeSlot || booking.time} is completed. We hope to see you again! - Luxe Beauty Studio`,
-          from: `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}`,
-          to: `whatsapp:+91${booking.phone}`
-        });
-        
-        console.log('✅ Completion WhatsApp sent to', booking.phone);
-      } catch (twilioError) {
-        console.error('❌ Twilio error:', twilioError.message);
+    if (status !== oldStatus && ['cancelled', 'confirmed', 'completed'].includes(status)) {
+      // A completed visit comes with a link to review it, when one could be issued
+      const reviewUrl = status === 'completed' ? await createReviewLink(booking) : null;
+      if (reviewUrl) {
+        await notify('review.requested', { booking, reviewUrl });
+      } else {
+        await notify(`booking.${status}`, { booking });
       }
     }
 
@@ -596,6 +763,14 @@ exports.updateBooking = async (req, res) => {
 
   } catch (error) {
     console.error('Error updating booking:', error);
+
+    if (error.statusCode === 400 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to update booking',
@@ -605,7 +780,230 @@ exports.updateBooking = async (req, res) => {
 };
 
 /**
- * Cancel booking
+ * Move a booking to a new date/time
+ * The booking is updated in a single write and kept only if no other booking
+ * change on the new day got in first; otherwise it goes back to the old one.
+ * @route PATCH /api/bookings/:id/reschedule
+ */
+exports.rescheduleBooking = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    // Validate request body
+    const { error, value } = rescheduleSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { date, timeSlot, time, staffId, reason } = value;
+    const selectedTime = timeSlot || time;
+
+    // Customers can only move their own bookings
+    const booking = await Booking.findOne({ _id: id, ...(await bookingAccessFilter(req.user)) });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reschedule a ${booking.status} booking`
+      });
+    }
+
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+
+    if (booking.date < today) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot reschedule past bookings'
+      });
+    }
+
+    const newDate = new Date(date);
+    newDate.setUTCHours(0, 0, 0, 0);
+
+    if (newDate < today) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot book appointments in the past'
+      });
+    }
+
+    const oldDate = booking.date;
+    const oldTime = booking.timeSlot || booking.time;
+    const oldStaffId = booking.staffId;
+
+    // Bookings made before durations were stored pick them up from the service
+    const timing = await getServiceTiming({
+      serviceIds: booking.services.map(s => s.serviceId),
+      serviceId: booking.serviceId,
+      service: booking.service
+    });
+    const duration = booking.duration || timing.duration;
+    const bufferTime = booking.duration ? booking.bufferTime : timing.bufferTime;
+
+    // Move the booking in one conditional update, so a concurrent change to
+    // it can't be overwritten, then make sure no other booking change on the
+    // new day got in first (as when creating a booking). If one did, the move
+    // is undone and retried.
+    const { booking: updated, resource, suggestedTimes } = await claimSlot(
+      {
+        date: newDate,
+        time: selectedTime,
+        length: duration + bufferTime,
+        categories: timing.categories,
+        staffId,
+        excludeBookingId: booking._id
+      },
+      {
+        write: async (stylist) => {
+          const moved = await Booking.findOneAndUpdate(
+            {
+              _id: booking._id,
+              date: oldDate,
+              time: booking.time,
+              status: booking.status
+            },
+            {
+              $set: {
+                date: newDate,
+                time: selectedTime,
+                timeSlot: selectedTime,
+                staffId: stylist.staff?._id,
+                duration,
+                bufferTime
+              },
+              $push: {
+                rescheduleHistory: {
+                  fromDate: oldDate,
+                  fromTime: oldTime,
+                  fromStaffId: oldStaffId,
+                  toDate: newDate,
+                  toTime: selectedTime,
+                  toStaffId: stylist.staff?._id,
+                  reason: reason?.trim() || undefined,
+                  rescheduledAt: new Date()
+                }
+              }
+            },
+            { new: true, runValidators: true }
+          );
+
+          if (!moved) {
+            const error = new Error('Booking was changed by someone else. Please try again.');
+            error.statusCode = 409;
+            throw error;
+          }
+          return moved;
+        },
+        undo: (moved) => {
+          // Put the old slot back; fields the booking didn't have are removed again
+          const previous = {
+            date: oldDate,
+            time: booking.time,
+            timeSlot: booking.timeSlot,
+            staffId: oldStaffId,
+            duration: booking.duration,
+            bufferTime: booking.bufferTime
+          };
+          const $set = {};
+          const $unset = {};
+          for (const [field, value] of Object.entries(previous)) {
+            if (value == null) $unset[field] = 1;
+            else $set[field] = value;
+          }
+
+          return Booking.updateOne(
+            { _id: moved._id, date: moved.date, time: moved.time },
+            { $set, ...(Object.keys($unset).length ? { $unset } : {}), $pop: { rescheduleHistory: 1 } }
+          );
+        }
+      }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'This time slot is already booked. Please select another time.',
+        suggestedTimes
+      });
+    }
+
+    if (isStaffRequest(req)) {
+      await recordAudit(req, {
+        action: 'booking.reschedule',
+        entityType: 'booking',
+        entityId: updated._id,
+        before: booking,
+        after: updated,
+        metadata: reason ? { reason } : undefined
+      });
+    }
+
+    // Refresh both days' TimeSlot snapshots
+    await refreshTimeSlot(oldDate);
+    if (oldDate.getTime() !== newDate.getTime()) {
+      await refreshTimeSlot(newDate);
+    }
+
+    // The old slot is free now
+    await notifyWaitlist([{ date: oldDate, timeSlot: oldTime }]);
+
+    await notify('booking.rescheduled', { booking: updated, from: { date: oldDate, time: oldTime } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      booking: {
+        id: updated._id,
+        name: updated.name,
+        status: updated.status,
+        date: updated.date.toISOString().split('T')[0],
+        timeSlot: updated.timeSlot || updated.time,
+        staff: resource.staff ? { id: resource.staff._id, name: resource.staff.name } : null,
+        rescheduleHistory: updated.rescheduleHistory,
+        manageUrl: getManageUrl(updated)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error rescheduling booking:', error);
+
+    if (error.statusCode === 400 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule booking',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Cancel booking, or several occurrences of its recurring series
  * @route PATCH /api/bookings/:id/cancel
  */
 exports.cancelBooking = async (req, res) => {
@@ -620,7 +1018,19 @@ exports.cancelBooking = async (req, res) => {
       });
     }
 
-    const booking = await Booking.findById(id);
+    const { error, value } = cancelSchema.validate(req.body || {});
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { scope } = value;
+
+    // Customers can only cancel their own bookings
+    const booking = await Booking.findOne({ _id: id, ...(await bookingAccessFilter(req.user)) });
 
     if (!booking) {
       return res.status(404).json({
@@ -629,10 +1039,19 @@ exports.cancelBooking = async (req, res) => {
       });
     }
 
-    if (booking.status === 'cancelled') {
+    if (scope !== 'this' && !booking.seriesId) {
       return res.status(400).json({
         success: false,
-        message: 'Booking is already cancelled'
+        message: 'Booking is not part of a recurring series'
+      });
+    }
+
+    if (scope === 'this' && !canTransition(booking.status, 'cancelled')) {
+      return res.status(400).json({
+        success: false,
+        message: booking.status === 'cancelled'
+          ? 'Booking is already cancelled'
+          : `Cannot cancel a ${booking.status} booking`
       });
     }
 
@@ -649,44 +1068,56 @@ exports.cancelBooking = async (req, res) => {
       });
     }
 
-    booking.status = 'cancelled';
-    await booking.save();
+    let toCancel = [booking];
 
-    // Make slot available again
-    try {
-      await TimeSlot.updateOne(
-        { date: booking.date, 'slots.time': booking.timeSlot || booking.time },
-        { 
-          $set: { 
-            'slots.$.available': true, 
-            'slots.$.bookedBy': null 
-          } 
-        }
-      );
-    } catch (timeSlotError) {
-      console.log('TimeSlot update error:', timeSlotError.message);
-    }
-
-    // Send WhatsApp notification
-    if (twilio && process.env.TWILIO_WHATSAPP_FROM) {
-      try {
-        const formattedDate = formatDateForWhatsApp(booking.date);
-        
-        await twilio.messages.create({
-          body: `Hi ${booking.name}! Your booking for ${booking.service} on ${formattedDate} at ${booking.timeSlot || booking.time} has been cancelled. - Luxe Beauty Studio`,
-          from: `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}`,
-          to: `whatsapp:+91${booking.phone}`
+    if (scope !== 'this') {
+      // Past occurrences are left alone in either case
+      toCancel = await Booking.find({
+        seriesId: booking.seriesId,
+        date: { $gte: scope === 'future' ? bookingDate : now },
+        status: { $in: ['pending', 'confirmed'] }
+      }).sort({ date: 1 });
+
+      if (scope === 'series') {
+        await BookingSeries.updateOne({ _id: booking.seriesId }, { $set: { status: 'cancelled' } });
+      }
+    }
+
+    // Cancel and make slots available again
+    const staffRequest = isStaffRequest(req);
+    const before = staffRequest ? new Map(toCancel.map(b => [String(b._id), snapshot(b)])) : null;
+    const cancelled = await cancelBookings(toCancel, { actor: req.user.role, actorId: req.user.id });
+
+    if (staffRequest) {
+      for (const b of cancelled) {
+        await recordAudit(req, {
+          action: 'booking.cancel',
+          entityType: 'booking',
+          entityId: b._id,
+          before: before.get(String(b._id)),
+          after: b,
+          metadata: { scope }
         });
-        
-        console.log('✅ Cancellation WhatsApp sent to', booking.phone);
-      } catch (twilioError) {
-        console.error('❌ Twilio error:', twilioError.message);
       }
     }
+    await notifyWaitlist(cancelled);
+
+    if (cancelled.length > 1) {
+      await notify('series.cancelled', { bookings: cancelled });
+    } else if (cancelled.length) {
+      await notify('booking.cancelled', { booking: cancelled[0] });
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Booking cancelled successfully'
+      message: cancelled.length > 1
+        ? `${cancelled.length} bookings cancelled successfully`
+        : 'Booking cancelled successfully',
+      cancelled: cancelled.map(b => ({
+        id: b._id,
+        date: b.date.toISOString().split('T')[0],
+        timeSlot: b.timeSlot || b.time
+      }))
     });
 
   } catch (error) {
@@ -724,23 +1155,21 @@ exports.deleteBooking = async (req, res) => {
       });
     }
 
-    // Make slot available again before deleting
-    try {
-      await TimeSlot.updateOne(
-        { date: booking.date, 'slots.time': booking.timeSlot || booking.time },
-        { 
-          $set: { 
-            'slots.$.available': true, 
-            'slots.$.bookedBy': null 
-          } 
-        }
-      );
-    } catch (timeSlotError) {
-      console.log('TimeSlot update error:', timeSlotError.message);
-    }
-
     await Booking.findByIdAndDelete(id);
 
+    await recordAudit(req, {
+      action: 'booking.delete',
+      entityType: 'booking',
+      entityId: booking._id,
+      before: booking
+    });
+
+    // Make slot available again
+    await refreshTimeSlot(booking.date);
+    if (booking.status !== 'cancelled') {
+      await notifyWaitlist([booking]);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Booking deleted successfully'
@@ -0,0 +1,573 @@
+// controllers/consentController.js
+
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const ConsentLog = require('../models/ConsentLog');
+const Suppression = require('../models/Suppression');
+const Joi = require('joi');
+const { findPreference, updatePreference, suppress, unsuppress } = require('../utils/consent');
+const { snapshot, recordAudit } = require('../utils/audit');
+
+const CHANNELS = ['whatsapp', 'sms', 'email'];
+const REASONS = ['opt_out', 'bounce', 'complaint', 'admin'];
+const timePattern = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Validation schemas
+const preferenceFields = {
+  channels: Joi.object({
+    whatsapp: Joi.boolean(),
+    sms: Joi.boolean(),
+    email: Joi.boolean()
+  }).min(1),
+  transactional: Joi.boolean(),
+  marketing: Joi.boolean(),
+  // null turns quiet hours off
+  quietHours: Joi.object({
+    start: Joi.string().pattern(timePattern).required(),
+    end: Joi.string().pattern(timePattern).required()
+  }).allow(null)
+};
+
+const preferencesSchema = Joi.object(preferenceFields).min(1);
+
+const bookingPreferencesSchema = Joi.object({
+  messages: Joi.boolean().required()
+});
+
+const adminPreferencesSchema = Joi.object({
+  phone: Joi.string().pattern(/^[0-9]{10}$/).optional(),
+  email: Joi.string().email().optional(),
+  note: Joi.string().max(500).optional().allow(''), // e.g. "Agreed over the phone"
+  ...preferenceFields
+}).or('phone', 'email').or('channels', 'transactional', 'marketing', 'quietHours');
+
+const suppressionSchema = Joi.object({
+  channel: Joi.string().valid(...CHANNELS).required(),
+  address: Joi.alternatives().conditional('channel', {
+    is: 'email',
+    then: Joi.string().email().required(),
+    otherwise: Joi.string().pattern(/^[0-9]{10}$/).required()
+  }),
+  reason: Joi.string().valid(...REASONS).default('admin'),
+  note: Joi.string().max(500).optional().allow('')
+});
+
+const contactQuerySchema = Joi.object({
+  phone: Joi.string().pattern(/^[0-9]{10}$/).optional(),
+  email: Joi.string().email().optional()
+}).or('phone', 'email');
+
+/**
+ * Turn validated preferences into the paths to set
+ * @param {Object} value
+ * @returns {Object} e.g. { 'channels.sms': false, marketing: true }
+ */
+const toChanges = ({ channels, transactional, marketing, quietHours }) => {
+  const changes = {};
+
+  for (const [channel, enabled] of Object.entries(channels || {})) {
+    changes[`channels.${channel}`] = enabled;
+  }
+  if (transactional !== undefined) changes.transactional = transactional;
+  if (marketing !== undefined) changes.marketing = marketing;
+  if (quietHours !== undefined) {
+    changes['quietHours.start'] = quietHours?.start;
+    changes['quietHours.end'] = quietHours?.end;
+  }
+
+  return changes;
+};
+
+/**
+ * Suppression list entries for a customer's phone number and email
+ * @param {Object} contact - { phone, email }
+ * @returns {Promise<Array>}
+ */
+const findSuppressions = ({ phone, email }) => {
+  const match = [
+    phone && { channel: { $in: ['whatsapp', 'sms'] }, address: phone },
+    email && { channel: 'email', address: email.trim().toLowerCase() }
+  ].filter(Boolean);
+
+  return match.length ? Suppression.find({ $or: match }) : [];
+};
+
+/**
+ * Format a customer's preferences for API responses
+ * Customers without stored preferences get the defaults.
+ * @param {Object|null} preference
+ * @param {Array} suppressions
+ */
+const formatPreferences = (preference, suppressions) => ({
+  channels: {
+    whatsapp: preference?.channels?.whatsapp ?? true,
+    sms: preference?.channels?.sms ?? true,
+    email: preference?.channels?.email ?? true
+  },
+  transactional: preference?.transactional ?? null, // null: never asked
+  marketing: preference?.marketing ?? false,
+  quietHours: preference?.quietHours?.start
+    ? { start: preference.quietHours.start, end: preference.quietHours.end }
+    : null,
+  // Channels we won't use whatever the preferences say; WhatsApp lifts with a START reply
+  suppressed: suppressions.map(s => ({ channel: s.channel, reason: s.reason, since: s.createdAt })),
+  updatedAt: preference?.updatedAt
+});
+
+/**
+ * Work out whose preferences a signed-in customer's request is about
+ * An account only speaks for a phone number or email it has verified, so
+ * listing someone else's number doesn't give control of their consent.
+ * @param {Object} req
+ * @returns {Promise<Object|null>} { phone, email, userId }
+ */
+const customerContact = async (req) => {
+  const user = await User.findById(req.user.id).select('phone phoneVerified email emailVerified');
+  return user && {
+    phone: user.phoneVerified ? user.phone : undefined,
+    email: user.emailVerified ? user.email : undefined,
+    userId: user._id
+  };
+};
+
+/**
+ * Get the customer's communication preferences
+ * @route GET /api/auth/me/preferences
+ */
+exports.getMyPreferences = async (req, res) => {
+  try {
+    const contact = await customerContact(req);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const [preference, suppressions] = await Promise.all([
+      findPreference(contact),
+      findSuppressions(contact)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      preferences: formatPreferences(preference, suppressions)
+    });
+
+  } catch (error) {
+    console.error('Error fetching preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch preferences',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Change the customer's communication preferences
+ * @route PUT /api/auth/me/preferences
+ */
+exports.updateMyPreferences = async (req, res) => {
+  try {
+    const { error, value } = preferencesSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const contact = await customerContact(req);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    if (!contact.phone && !contact.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verify your phone number or email first'
+      });
+    }
+
+    const preference = await updatePreference(contact, toChanges(value), { source: 'customer', req });
+
+    res.status(200).json({
+      success: true,
+      message: 'Preferences updated',
+      preferences: formatPreferences(preference, await findSuppressions(contact))
+    });
+
+  } catch (error) {
+    console.error('Error updating preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update preferences',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get whether messages about a booking are on
+ * Anyone can book with any phone number and get its manage link, so the link
+ * only controls that booking's messages, never the customer's consent.
+ * @route GET /api/bookings/manage/:token/preferences
+ */
+exports.getBookingPreferences = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.user.bookingId).select('messagesMuted');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      preferences: { messages: !booking.messagesMuted }
+    });
+
+  } catch (error) {
+    console.error('Error fetching booking preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch preferences',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Turn messages about a booking (confirmations, reminders, changes) on or off
+ * @route PUT /api/bookings/manage/:token/preferences
+ */
+exports.updateBookingPreferences = async (req, res) => {
+  try {
+    const { error, value } = bookingPreferencesSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const booking = await Booking.findByIdAndUpdate(
+      req.user.bookingId,
+      { $set: { messagesMuted: !value.messages } },
+      { new: true }
+    ).select('messagesMuted');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Preferences updated',
+      preferences: { messages: !booking.messagesMuted }
+    });
+
+  } catch (error) {
+    console.error('Error updating booking preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update preferences',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a customer's preferences, suppressions and consent history (Admin)
+ * @route GET /api/admin/consent?phone=9876543210&email=
+ */
+exports.getConsent = async (req, res) => {
+  try {
+    const { error, value } = contactQuerySchema.validate(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const historyMatch = [
+      value.phone && { phone: value.phone },
+      value.email && { email: value.email.toLowerCase() }
+    ].filter(Boolean);
+
+    const [preference, suppressions, history] = await Promise.all([
+      findPreference(value),
+      findSuppressions(value),
+      ConsentLog.find({ $or: historyMatch })
+        .populate('actor.userId', 'name email')
+        .sort({ timestamp: -1 })
+        .limit(200)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      contact: {
+        phone: preference?.phone || value.phone,
+        email: preference?.email || value.email
+      },
+      preferences: formatPreferences(preference, suppressions),
+      history: history.map(entry => ({
+        id: entry._id,
+        source: entry.source,
+        changes: entry.changes,
+        note: entry.note,
+        actor: entry.actor,
+        ip: entry.ip,
+        timestamp: entry.timestamp
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching consent:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch consent',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Record preferences a customer gave staff, e.g. over the phone (Admin)
+ * @route PUT /api/admin/consent
+ */
+exports.updateConsent = async (req, res) => {
+  try {
+    const { error, value } = adminPreferencesSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const contact = { phone: value.phone, email: value.email };
+    const before = snapshot(await findPreference(contact));
+
+    const preference = await updatePreference(contact, toChanges(value), {
+      source: 'admin',
+      req,
+      note: value.note?.trim() || undefined
+    });
+
+    await recordAudit(req, {
+      action: 'consent.update',
+      entityType: 'contact_preference',
+      entityId: preference._id,
+      before,
+      after: preference,
+      metadata: value.note ? { note: value.note } : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Preferences updated',
+      preferences: formatPreferences(preference, await findSuppressions(contact))
+    });
+
+  } catch (error) {
+    console.error('Error updating consent:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update consent',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the suppression list, newest first (Admin)
+ * @route GET /api/admin/suppressions?channel=whatsapp&reason=opt_out&address=&page=1&limit=50
+ */
+exports.getSuppressions = async (req, res) => {
+  try {
+    const { channel, reason, address, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+
+    if (channel) {
+      if (!CHANNELS.includes(channel)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid channel. Use ${CHANNELS.join(', ')}`
+        });
+      }
+      query.channel = channel;
+    }
+    if (reason) {
+      if (!REASONS.includes(reason)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid reason. Use ${REASONS.join(', ')}`
+        });
+      }
+      query.reason = reason;
+    }
+    if (address) {
+      query.address = address.trim().toLowerCase();
+    }
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [suppressions, total] = await Promise.all([
+      Suppression.find(query)
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      Suppression.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: suppressions.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      suppressions: suppressions.map(s => ({
+        id: s._id,
+        channel: s.channel,
+        address: s.address,
+        reason: s.reason,
+        note: s.note,
+        createdBy: s.createdBy,
+        createdAt: s.createdAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching suppressions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch suppressions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Stop messaging an address on a channel (Admin)
+ * @route POST /api/admin/suppressions
+ */
+exports.addSuppression = async (req, res) => {
+  try {
+    const { error, value } = suppressionSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const suppression = await suppress(
+      { ...value, note: value.note?.trim() || undefined },
+      { source: 'admin', req }
+    );
+
+    await recordAudit(req, {
+      action: 'suppression.create',
+      entityType: 'suppression',
+      entityId: suppression._id,
+      after: suppression
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${suppression.address} will no longer get ${suppression.channel} messages`,
+      suppression: {
+        id: suppression._id,
+        channel: suppression.channel,
+        address: suppression.address,
+        reason: suppression.reason,
+        note: suppression.note,
+        createdAt: suppression.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error adding suppression:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add suppression',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Take an address off the suppression list (Admin)
+ * Only do this when the customer has asked to hear from us again.
+ * @route DELETE /api/admin/suppressions/:id
+ */
+exports.removeSuppression = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid suppression ID'
+      });
+    }
+
+    const existing = await Suppression.findById(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Suppression not found'
+      });
+    }
+
+    const note = typeof req.body?.note === 'string' ? req.body.note.trim().slice(0, 500) : undefined;
+    await unsuppress({ channel: existing.channel, address: existing.address, note: note || undefined }, { source: 'admin', req });
+
+    await recordAudit(req, {
+      action: 'suppression.delete',
+      entityType: 'suppression',
+      entityId: existing._id,
+      before: existing,
+      metadata: note ? { note } : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${existing.address} can get ${existing.channel} messages again`
+    });
+
+  } catch (error) {
+    console.error('Error removing suppression:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove suppression',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = exports;
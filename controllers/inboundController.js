@@ -0,0 +1,198 @@
+// controllers/inboundController.js
+
+const InboundMessage = require('../models/InboundMessage');
+const Joi = require('joi');
+const { fromE164 } = require('../utils/notifications/adapters');
+const { handleInboundMessage } = require('../utils/inbound');
+const { snapshot, recordAudit } = require('../utils/audit');
+
+const STATUSES = ['handled', 'needs_follow_up', 'resolved'];
+
+const resolveSchema = Joi.object({
+  note: Joi.string().max(500).optional().allow('')
+});
+
+// Replies go out through the message queue, so the webhook answers with empty TwiML
+const EMPTY_TWIML = '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+
+/**
+ * Receive a WhatsApp message from Twilio
+ * @route POST /api/webhooks/twilio/whatsapp
+ */
+exports.receiveWhatsApp = async (req, res) => {
+  try {
+    const { From, Body, MessageSid } = req.body;
+
+    if (!From) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing sender'
+      });
+    }
+
+    const inbound = await handleInboundMessage({
+      channel: 'whatsapp',
+      from: fromE164(From),
+      body: Body,
+      providerMessageId: MessageSid
+    });
+
+    if (inbound) {
+      console.log(`📥 WhatsApp from ${inbound.from}: ${inbound.outcome}`);
+    }
+
+    res.status(200).type('text/xml').send(EMPTY_TWIML);
+
+  } catch (error) {
+    console.error('Error handling inbound WhatsApp:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to handle message',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get messages customers sent us, newest first (Admin)
+ * @route GET /api/admin/inbound?status=needs_follow_up&phone=&page=1&limit=50
+ */
+exports.getInboundMessages = async (req, res) => {
+  try {
+    const { status, phone, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+
+    if (status) {
+      if (!STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Use ${STATUSES.join(', ')}`
+        });
+      }
+      query.status = status;
+    }
+    if (phone) {
+      query.from = phone;
+    }
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [messages, total] = await Promise.all([
+      InboundMessage.find(query)
+        .populate('bookingId', 'name service date timeSlot time status')
+        .populate('resolvedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      InboundMessage.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      messages: messages.map(m => ({
+        id: m._id,
+        channel: m.channel,
+        from: m.from,
+        body: m.body,
+        keyword: m.keyword,
+        booking: m.bookingId,
+        outcome: m.outcome,
+        status: m.status,
+        note: m.note,
+        resolvedBy: m.resolvedBy,
+        resolvedAt: m.resolvedAt,
+        receivedAt: m.createdAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching inbound messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch inbound messages',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Mark a message that needed follow-up as dealt with (Admin)
+ * @route PATCH /api/admin/inbound/:id/resolve
+ */
+exports.resolveInboundMessage = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message ID'
+      });
+    }
+
+    const { error, value } = resolveSchema.validate(req.body || {});
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const message = await InboundMessage.findById(id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    if (message.status !== 'needs_follow_up') {
+      return res.status(400).json({
+        success: false,
+        message: `Message is already ${message.status}`
+      });
+    }
+
+    const before = snapshot(message);
+    message.set({
+      status: 'resolved',
+      resolvedBy: req.user.id,
+      resolvedAt: new Date(),
+      note: value.note?.trim() || undefined
+    });
+    await message.save();
+
+    await recordAudit(req, {
+      action: 'inbound.resolve',
+      entityType: 'inbound_message',
+      entityId: message._id,
+      before,
+      after: message
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Message marked as resolved'
+    });
+
+  } catch (error) {
+    console.error('Error resolving inbound message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve message',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,214 @@
+// controllers/messageController.js
+
+const OutboundMessage = require('../models/OutboundMessage');
+const { requeue } = require('../utils/notifications/queue');
+const { recordAudit } = require('../utils/audit');
+
+const STATUSES = ['queued', 'sending', 'sent', 'failed', 'dead', 'suppressed'];
+
+/**
+ * Format an outbound message for API responses
+ * @param {Object} message
+ */
+const formatMessage = (message) => ({
+  id: message._id,
+  event: message.event,
+  channel: message.channel,
+  recipient: message.recipient,
+  bookingId: message.bookingId,
+  language: message.language,
+  subject: message.subject,
+  text: message.sensitive ? undefined : message.text,
+  status: message.status,
+  attempts: message.attempts,
+  maxAttempts: message.maxAttempts,
+  nextAttemptAt: ['queued', 'failed'].includes(message.status) ? message.nextAttemptAt : undefined,
+  lastError: message.lastError,
+  suppressedReason: message.suppressedReason,
+  attemptLog: message.attemptLog,
+  provider: message.provider,
+  providerMessageId: message.providerMessageId,
+  sentAt: message.sentAt,
+  resentBy: message.resentBy,
+  createdAt: message.createdAt
+});
+
+/**
+ * Get outbound messages, newest first (Admin)
+ * @route GET /api/admin/messages?status=dead&channel=whatsapp&event=booking.confirmed&bookingId=&page=1&limit=50
+ */
+exports.getMessages = async (req, res) => {
+  try {
+    const { status, channel, event, bookingId, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+
+    if (status) {
+      if (!STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Use ${STATUSES.join(', ')}`
+        });
+      }
+      query.status = status;
+    }
+    if (channel) {
+      query.channel = channel;
+    }
+    if (event) {
+      query.event = event;
+    }
+    if (bookingId) {
+      if (!bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid booking ID'
+        });
+      }
+      query.bookingId = bookingId;
+    }
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [messages, total] = await Promise.all([
+      OutboundMessage.find(query)
+        .select('-html -attachments')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      OutboundMessage.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      messages: messages.map(formatMessage)
+    });
+
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch messages',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Put a failed or dead message back in the queue (Admin)
+ * @route POST /api/admin/messages/:id/resend
+ */
+exports.resendMessage = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message ID'
+      });
+    }
+
+    const existing = await OutboundMessage.findById(id).select('-html -attachments');
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const message = await requeue(id, req.user.id);
+
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        message: `Only failed or dead messages can be resent (this one is ${existing.status})`
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'message.resend',
+      entityType: 'message',
+      entityId: message._id,
+      before: { status: existing.status, attempts: existing.attempts, lastError: existing.lastError },
+      after: { status: message.status, attempts: message.attempts },
+      metadata: { bookingId: message.bookingId }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Message queued for resending',
+      outboundMessage: formatMessage(message)
+    });
+
+  } catch (error) {
+    console.error('Error resending message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend message',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Put every failed or dead message for a booking back in the queue (Admin)
+ * @route POST /api/admin/bookings/:id/messages/resend
+ */
+exports.resendBookingMessages = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    const failed = await OutboundMessage.find({ bookingId: id, status: { $in: ['failed', 'dead'] } })
+      .select('_id');
+
+    const resent = [];
+    for (const { _id } of failed) {
+      const message = await requeue(_id, req.user.id);
+      if (message) resent.push(message);
+    }
+
+    if (resent.length) {
+      await recordAudit(req, {
+        action: 'message.resend',
+        entityType: 'booking',
+        entityId: id,
+        metadata: { messageIds: resent.map(m => String(m._id)) }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: resent.length
+        ? `${resent.length} message(s) queued for resending`
+        : 'No failed messages for this booking',
+      messages: resent.map(formatMessage)
+    });
+
+  } catch (error) {
+    console.error('Error resending booking messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend messages',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,85 @@
+// controllers/reminderController.js
+
+const Reminder = require('../models/Reminder');
+const { REMINDER_OFFSETS, formatOffset, getUpcomingReminders } = require('../utils/reminders');
+
+const MAX_UPCOMING_DAYS = 14;
+
+/**
+ * Get upcoming and already sent appointment reminders (Admin)
+ * @route GET /api/admin/reminders?days=2&status=sent&page=1&limit=50
+ */
+exports.getReminders = async (req, res) => {
+  try {
+    const { days = 2, status, page = 1, limit = 50 } = req.query;
+
+    if (status && !['sending', 'sent', 'failed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Use sending, sent or failed'
+      });
+    }
+
+    const daysNum = Math.min(Math.max(parseInt(days, 10) || 2, 1), MAX_UPCOMING_DAYS);
+    const until = new Date(Date.now() + daysNum * 24 * 60 * 60 * 1000);
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = status ? { status } : {};
+
+    const [upcoming, history, total] = await Promise.all([
+      getUpcomingReminders(until),
+      Reminder.find(query)
+        .populate('bookingId', 'name phone service date timeSlot time status')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      Reminder.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      offsets: REMINDER_OFFSETS.map(formatOffset),
+      upcoming: upcoming.map(({ booking, appointmentAt, offsetMinutes, dueAt }) => ({
+        booking: {
+          id: booking._id,
+          name: booking.name,
+          phone: booking.phone,
+          service: booking.service
+        },
+        appointmentAt,
+        offset: formatOffset(offsetMinutes),
+        dueAt
+      })),
+      sent: {
+        count: history.length,
+        total,
+        page: pageNum,
+        pages: Math.ceil(total / limitNum),
+        reminders: history.map(r => ({
+          id: r._id,
+          booking: r.bookingId,
+          appointmentAt: r.appointmentAt,
+          offset: formatOffset(r.offsetMinutes),
+          dueAt: r.dueAt,
+          status: r.status,
+          results: r.results,
+          sentAt: r.sentAt,
+          createdAt: r.createdAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reminders',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = exports;
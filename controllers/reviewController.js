@@ -1,4 +1,13 @@
 const Review = require('../models/Review');
+const Joi = require('joi');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { findReviewBooking, useReviewLink } = require('../utils/reviews');
+
+// Name and service come from the booking the link was sent for
+const verifiedReviewSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required(),
+  comment: Joi.string().trim().min(1).max(500).required()
+});
 
 // @route   GET /api/reviews
 // @desc    Get all approved reviews (public)
@@ -7,7 +16,7 @@ exports.getAllReviews = async (req, res) => {
   try {
     const reviews = await Review.find({ approved: true })
       .sort({ createdAt: -1 })
-      .select('-__v');
+      .select('-__v -bookingId -email');
     
     res.status(200).json({
       success: true,
@@ -96,6 +105,97 @@ exports.createReview = async (req, res) => {
   }
 };
 
+// @route   GET /api/reviews/link/:token
+// @desc    Get the visit a review link was sent for, to fill in the review form
+// @access  Public (review link)
+exports.getReviewLink = async (req, res) => {
+  try {
+    const booking = await findReviewBooking(req.params.token);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'This review link is invalid, has expired or has already been used'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      booking: {
+        name: booking.name,
+        service: booking.service,
+        date: booking.date.toISOString().split('T')[0]
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching review link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch review link',
+      error: error.message
+    });
+  }
+};
+
+// @route   POST /api/reviews/link/:token
+// @desc    Leave a verified review for a completed booking
+// @access  Public (review link)
+exports.createVerifiedReview = async (req, res) => {
+  try {
+    const { error, value } = verifiedReviewSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const booking = await findReviewBooking(req.params.token);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'This review link is invalid, has expired or has already been used'
+      });
+    }
+
+    // The unique bookingId index keeps it to one review per booking, even
+    // when the link is submitted twice at once
+    const review = await Review.create({
+      name: booking.name,
+      service: booking.service, // no email: the booking already has it
+      rating: value.rating,
+      comment: value.comment,
+      bookingId: booking._id,
+      approved: false, // Reviews need admin approval
+      verified: true
+    });
+
+    await useReviewLink(booking);
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you for your review. It will be visible after approval.',
+      review: review
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A review has already been left for this visit'
+      });
+    }
+
+    console.error('Error creating verified review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create review',
+      error: error.message
+    });
+  }
+};
+
 // @route   PUT /api/reviews/:id/approve
 // @desc    Approve a review
 // @access  Private (Admin)
@@ -110,9 +210,18 @@ exports.approveReview = async (req, res) => {
       });
     }
 
+    const before = snapshot(review);
     review.approved = true;
     await review.save();
 
+    await recordAudit(req, {
+      action: 'review.approve',
+      entityType: 'review',
+      entityId: review._id,
+      before,
+      after: review
+    });
+
     res.status(200).json({
       success: true,
       message: 'Review approved successfully',
@@ -144,6 +253,13 @@ exports.deleteReview = async (req, res) => {
 
     await review.deleteOne();
 
+    await recordAudit(req, {
+      action: 'review.delete',
+      entityType: 'review',
+      entityId: review._id,
+      before: review
+    });
+
     res.status(200).json({
       success: true,
       message: 'Review deleted successfully'
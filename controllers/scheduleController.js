@@ -0,0 +1,325 @@
+// controllers/scheduleController.js
+
+const Schedule = require('../models/Schedule');
+const Holiday = require('../models/Holiday');
+const Joi = require('joi');
+const { getSchedule, getDaySchedule, generateStartTimes, validateHours } = require('../utils/schedule');
+const { recordAudit } = require('../utils/audit');
+
+const timePattern = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Validation schemas
+const breakSchema = Joi.object({
+  start: Joi.string().pattern(timePattern).required(),
+  end: Joi.string().pattern(timePattern).required(),
+  label: Joi.string().max(50).optional().allow('')
+});
+
+const dayHoursSchema = Joi.object({
+  day: Joi.number().integer().min(0).max(6).required(),
+  closed: Joi.boolean().default(false),
+  open: Joi.string().pattern(timePattern).when('closed', { is: false, then: Joi.required() }),
+  close: Joi.string().pattern(timePattern).when('closed', { is: false, then: Joi.required() }),
+  breaks: Joi.array().items(breakSchema).default([])
+});
+
+const scheduleSchema = Joi.object({
+  weeklyHours: Joi.array().items(dayHoursSchema).unique('day').optional(),
+  slotInterval: Joi.number().integer().min(5).max(240).optional()
+}).min(1);
+
+const holidaySchema = Joi.object({
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+  closed: Joi.boolean().default(true),
+  open: Joi.string().pattern(timePattern).when('closed', { is: false, then: Joi.required() }),
+  close: Joi.string().pattern(timePattern).when('closed', { is: false, then: Joi.required() }),
+  breaks: Joi.array().items(breakSchema).default([]),
+  reason: Joi.string().max(200).optional().allow('')
+});
+
+/**
+ * Get the weekly schedule and slot interval
+ * @route GET /api/schedule
+ */
+exports.getSchedule = async (req, res) => {
+  try {
+    const schedule = await getSchedule();
+
+    res.status(200).json({
+      success: true,
+      schedule
+    });
+
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch schedule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update weekly opening hours, breaks and slot interval
+ * @route PUT /api/schedule
+ */
+exports.updateSchedule = async (req, res) => {
+  try {
+    const { error, value } = scheduleSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const invalidDay = (value.weeklyHours || [])
+      .filter(hours => !hours.closed)
+      .map(validateHours)
+      .find(message => message);
+
+    if (invalidDay) {
+      return res.status(400).json({
+        success: false,
+        message: invalidDay
+      });
+    }
+
+    const before = await Schedule.findOne();
+    const schedule = await Schedule.findOneAndUpdate({}, { $set: value }, {
+      new: true,
+      upsert: true,
+      runValidators: true
+    });
+
+    await recordAudit(req, {
+      action: 'schedule.update',
+      entityType: 'schedule',
+      entityId: schedule._id,
+      before,
+      after: schedule
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Schedule updated successfully',
+      schedule: {
+        weeklyHours: schedule.weeklyHours,
+        slotInterval: schedule.slotInterval
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update schedule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the effective opening hours and slot start times for one date
+ * @route GET /api/schedule/day?date=YYYY-MM-DD
+ */
+exports.getDaySchedule = async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date parameter is required (format: YYYY-MM-DD)'
+      });
+    }
+
+    const daySchedule = await getDaySchedule(new Date(date + 'T00:00:00.000Z'));
+
+    res.status(200).json({
+      success: true,
+      schedule: daySchedule,
+      slots: generateStartTimes(daySchedule)
+    });
+
+  } catch (error) {
+    console.error('Error fetching day schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch schedule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get closures and special-hours days, upcoming by default
+ * @route GET /api/schedule/holidays?from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+exports.getHolidays = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const fromDate = from ? new Date(from + 'T00:00:00.000Z') : new Date();
+    fromDate.setUTCHours(0, 0, 0, 0);
+
+    const query = { date: { $gte: fromDate } };
+    if (to) {
+      query.date.$lte = new Date(to + 'T23:59:59.999Z');
+    }
+
+    if (Object.values(query.date).some(d => isNaN(d.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format. Use YYYY-MM-DD'
+      });
+    }
+
+    const holidays = await Holiday.find(query).sort({ date: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: holidays.length,
+      holidays: holidays.map(h => ({
+        id: h._id,
+        date: h.date.toISOString().split('T')[0],
+        closed: h.closed,
+        open: h.open,
+        close: h.close,
+        breaks: h.breaks,
+        reason: h.reason
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching holidays:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch holidays',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Add or replace a closure / special-hours day
+ * @route POST /api/schedule/holidays
+ */
+exports.saveHoliday = async (req, res) => {
+  try {
+    const { error, value } = holidaySchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    if (!value.closed) {
+      const invalidHours = validateHours(value);
+      if (invalidHours) {
+        return res.status(400).json({
+          success: false,
+          message: invalidHours
+        });
+      }
+    }
+
+    const date = new Date(value.date + 'T00:00:00.000Z');
+    const before = await Holiday.findOne({ date });
+    const holiday = await Holiday.findOneAndUpdate(
+      { date },
+      {
+        date,
+        closed: value.closed,
+        open: value.closed ? undefined : value.open,
+        close: value.closed ? undefined : value.close,
+        breaks: value.closed ? [] : value.breaks,
+        reason: value.reason?.trim() || undefined
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    await recordAudit(req, {
+      action: 'holiday.save',
+      entityType: 'holiday',
+      entityId: holiday._id,
+      before,
+      after: holiday
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday saved successfully',
+      holiday: {
+        id: holiday._id,
+        date: value.date,
+        closed: holiday.closed,
+        open: holiday.open,
+        close: holiday.close,
+        breaks: holiday.breaks,
+        reason: holiday.reason
+      }
+    });
+
+  } catch (error) {
+    console.error('Error saving holiday:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save holiday',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remove a closure / special-hours day
+ * @route DELETE /api/schedule/holidays/:id
+ */
+exports.deleteHoliday = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid holiday ID'
+      });
+    }
+
+    const holiday = await Holiday.findByIdAndDelete(id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'holiday.delete',
+      entityType: 'holiday',
+      entityId: holiday._id,
+      before: holiday
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Holiday deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting holiday:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete holiday',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = exports;
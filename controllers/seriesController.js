@@ -0,0 +1,291 @@
+// controllers/seriesController.js
+
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const Joi = require('joi');
+const { LANGUAGE_CODES } = require('../config/languages');
+const { getServiceTiming } = require('../utils/availability');
+const { refreshTimeSlot, placeBooking, checkActiveBookingCap, ownBookingsFilter } = require('../utils/bookings');
+const { hasPermission } = require('../config/permissions');
+const { notify } = require('../utils/notifications');
+const { recordOptIn } = require('../utils/consent');
+
+// Upper bound on bookings created for one series
+const MAX_OCCURRENCES = 52;
+
+// Validation schemas
+const seriesSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  phone: Joi.string().pattern(/^[0-9]{10}$/).required(),
+  email: Joi.string().email().optional().allow(''),
+  preferredChannel: Joi.string().valid('whatsapp', 'sms', 'email').optional(),
+  language: Joi.string().valid(...LANGUAGE_CODES).optional(),
+  optIn: Joi.boolean().optional(), // agrees to booking messages on WhatsApp/SMS
+  marketingOptIn: Joi.boolean().optional(),
+  service: Joi.string().when('serviceIds', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() }),
+  serviceId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  serviceIds: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).min(1).max(5).unique().optional(),
+  staffId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  date: Joi.date().min('now').required(), // first occurrence
+  timeSlot: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).optional(),
+  time: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).optional(),
+  notes: Joi.string().max(500).optional().allow(''),
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly').required(),
+  interval: Joi.number().integer().min(1).max(12).default(1),
+  endDate: Joi.date().greater(Joi.ref('date')).optional(),
+  occurrences: Joi.number().integer().min(1).max(MAX_OCCURRENCES).optional()
+}).or('timeSlot', 'time').xor('endDate', 'occurrences');
+
+/**
+ * Work out the dates a series falls on
+ * Monthly series keep the same day of month, moving to the month's last day
+ * when it's shorter (e.g. the 31st becomes the 30th in April).
+ * @param {Date} startDate - First occurrence (UTC midnight)
+ * @param {Object} rule - { frequency, interval, endDate, occurrences }
+ * @returns {Date[]}
+ */
+const getOccurrenceDates = (startDate, { frequency, interval, endDate, occurrences }) => {
+  const dates = [];
+  const limit = Math.min(occurrences || MAX_OCCURRENCES, MAX_OCCURRENCES);
+
+  for (let i = 0; dates.length < limit; i++) {
+    const date = new Date(startDate);
+
+    if (frequency === 'daily') {
+      date.setUTCDate(date.getUTCDate() + i * interval);
+    } else if (frequency === 'weekly') {
+      date.setUTCDate(date.getUTCDate() + i * interval * 7);
+    } else {
+      date.setUTCDate(1);
+      date.setUTCMonth(date.getUTCMonth() + i * interval);
+      const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+      date.setUTCDate(Math.min(startDate.getUTCDate(), lastDay));
+    }
+
+    if (endDate && date > endDate) break;
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+/**
+ * Create a recurring series and book each occurrence
+ * Occurrences that can't be booked are reported back rather than skipped silently.
+ * @route POST /api/bookings/series
+ */
+exports.createSeries = async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = seriesSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { frequency, interval, occurrences, ...bookingFields } = value;
+    const selectedTime = value.timeSlot || value.time;
+
+    const startDate = new Date(value.date);
+    startDate.setUTCHours(0, 0, 0, 0);
+
+    let endDate;
+    if (value.endDate) {
+      endDate = new Date(value.endDate);
+      endDate.setUTCHours(23, 59, 59, 999);
+    }
+
+    const dates = getOccurrenceDates(startDate, { frequency, interval, endDate, occurrences });
+
+    // The series counts as one of the phone number's upcoming bookings
+    const capError = await checkActiveBookingCap(value.phone);
+    if (capError) {
+      return res.status(429).json({
+        success: false,
+        message: capError
+      });
+    }
+
+    // Check the services exist before booking anything
+    const { services } = await getServiceTiming(value);
+
+    const series = await BookingSeries.create({
+      name: value.name.trim(),
+      phone: value.phone,
+      email: value.email?.trim() || undefined,
+      service: services.length > 1 || !value.service
+        ? services.map(s => s.name).join(' + ')
+        : value.service.trim(),
+      serviceId: value.serviceId,
+      serviceIds: value.serviceIds,
+      staffId: value.staffId,
+      frequency,
+      interval,
+      time: selectedTime,
+      startDate,
+      endDate,
+      occurrences,
+      notes: value.notes?.trim() || undefined
+    });
+
+    const bookings = [];
+    const conflicts = [];
+
+    for (const date of dates) {
+      const day = date.toISOString().split('T')[0];
+
+      try {
+        const { booking, suggestedTimes } = await placeBooking(
+          { ...bookingFields, date },
+          { seriesId: series._id }
+        );
+
+        if (booking) {
+          bookings.push(booking);
+        } else {
+          conflicts.push({ date: day, time: selectedTime, reason: 'Time slot already booked', suggestedTimes });
+        }
+      } catch (occurrenceError) {
+        if (occurrenceError.statusCode !== 400) throw occurrenceError;
+        conflicts.push({ date: day, time: selectedTime, reason: occurrenceError.message });
+      }
+    }
+
+    if (!bookings.length) {
+      await series.deleteOne();
+      return res.status(409).json({
+        success: false,
+        message: 'None of the appointments in this series could be booked',
+        conflicts
+      });
+    }
+
+    for (const booking of bookings) {
+      await refreshTimeSlot(booking.date);
+    }
+
+    await recordOptIn(value, 'booking', req);
+
+    // Send one summary for the whole series
+    await notify('series.confirmed', { series, bookings });
+
+    res.status(201).json({
+      success: true,
+      message: conflicts.length
+        ? `${bookings.length} of ${dates.length} appointments booked; ${conflicts.length} could not be booked`
+        : `${bookings.length} appointments booked`,
+      series: {
+        id: series._id,
+        frequency: series.frequency,
+        interval: series.interval,
+        time: series.time,
+        startDate: series.startDate.toISOString().split('T')[0],
+        endDate: series.endDate?.toISOString().split('T')[0],
+        occurrences: series.occurrences,
+        status: series.status
+      },
+      bookings: bookings.map(b => ({
+        id: b._id,
+        date: b.date.toISOString().split('T')[0],
+        timeSlot: b.timeSlot,
+        staffId: b.staffId,
+        status: b.status
+      })),
+      conflicts
+    });
+
+  } catch (error) {
+    console.error('Error creating series:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create series',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a series with all of its occurrences
+ * @route GET /api/bookings/series/:id
+ */
+exports.getSeries = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid series ID'
+      });
+    }
+
+    // Staff see any series; customers only their own (same owners as their bookings)
+    const access = hasPermission(req.user.role, 'bookings:read') ? {} : await ownBookingsFilter(req.user);
+    const series = await BookingSeries.findOne({ _id: id, ...access });
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    const bookings = await Booking.find({ seriesId: series._id })
+      .populate('staffId', 'name')
+      .sort({ date: 1 });
+
+    res.status(200).json({
+      success: true,
+      series: {
+        id: series._id,
+        name: series.name,
+        phone: series.phone,
+        service: series.service,
+        frequency: series.frequency,
+        interval: series.interval,
+        time: series.time,
+        startDate: series.startDate.toISOString().split('T')[0],
+        endDate: series.endDate?.toISOString().split('T')[0],
+        occurrences: series.occurrences,
+        status: series.status
+      },
+      bookings: bookings.map(b => ({
+        id: b._id,
+        date: b.date.toISOString().split('T')[0],
+        timeSlot: b.timeSlot || b.time,
+        staff: b.staffId,
+        status: b.status
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch series',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = exports;
@@ -1,11 +1,13 @@
 const Service = require('../models/Service');
 const Joi = require('joi');
+const { recordAudit } = require('../utils/audit');
 
 const serviceSchema = Joi.object({
   name: Joi.string().required(),
   description: Joi.string(),
   price: Joi.number().required(),
   duration: Joi.number().required(),
+  bufferTime: Joi.number().min(0),
   category: Joi.string().required(),
   image: Joi.string()
 });
@@ -17,6 +19,7 @@ exports.createService = async (req, res) => {
   try {
     const service = new Service(req.body);
     await service.save();
+    await recordAudit(req, { action: 'service.create', entityType: 'service', entityId: service._id, after: service });
     res.status(201).json(service);
   } catch (err) {
     res.status(500).json({ message: err.message });
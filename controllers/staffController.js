@@ -0,0 +1,253 @@
+// controllers/staffController.js
+
+const Staff = require('../models/Staff');
+const Joi = require('joi');
+const { snapshot, recordAudit } = require('../utils/audit');
+
+const timePattern = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Validation schemas
+const workingHoursSchema = Joi.array().items(Joi.object({
+  day: Joi.number().integer().min(0).max(6).required(),
+  start: Joi.string().pattern(timePattern).required(),
+  end: Joi.string().pattern(timePattern).required()
+}));
+
+const staffSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  phone: Joi.string().pattern(/^[0-9]{10}$/).optional().allow(''),
+  email: Joi.string().email().optional().allow(''),
+  skills: Joi.array().items(Joi.string().valid('hair', 'skin', 'bridal')).min(1).required(),
+  workingHours: workingHoursSchema.optional(),
+  active: Joi.boolean().optional()
+});
+
+const updateStaffSchema = Joi.object({
+  name: Joi.string().min(2).max(100),
+  phone: Joi.string().pattern(/^[0-9]{10}$/).allow(''),
+  email: Joi.string().email().allow(''),
+  skills: Joi.array().items(Joi.string().valid('hair', 'skin', 'bridal')).min(1),
+  workingHours: workingHoursSchema,
+  active: Joi.boolean()
+}).min(1);
+
+/**
+ * Format a staff member for API responses
+ * @param {Object} staff
+ */
+const formatStaff = (staff) => ({
+  id: staff._id,
+  name: staff.name,
+  phone: staff.phone,
+  email: staff.email,
+  skills: staff.skills,
+  workingHours: staff.workingHours,
+  active: staff.active
+});
+
+/**
+ * Get stylists, optionally filtered by service category
+ * @route GET /api/staff?category=hair
+ */
+exports.getStaff = async (req, res) => {
+  try {
+    const { category, includeInactive } = req.query;
+
+    const query = includeInactive === 'true' ? {} : { active: true };
+    if (category) {
+      query.skills = category;
+    }
+
+    const staff = await Staff.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: staff.length,
+      staff: staff.map(formatStaff)
+    });
+
+  } catch (error) {
+    console.error('Error fetching staff:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch staff',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create a staff member
+ * @route POST /api/staff
+ */
+exports.createStaff = async (req, res) => {
+  try {
+    const { error, value } = staffSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const staff = await Staff.create({
+      ...value,
+      phone: value.phone || undefined,
+      email: value.email || undefined
+    });
+
+    await recordAudit(req, {
+      action: 'staff.create',
+      entityType: 'staff',
+      entityId: staff._id,
+      after: staff
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Staff member created successfully',
+      staff: formatStaff(staff)
+    });
+
+  } catch (error) {
+    console.error('Error creating staff:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create staff member',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a staff member's details, skills or working hours
+ * @route PUT /api/staff/:id
+ */
+exports.updateStaff = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid staff ID'
+      });
+    }
+
+    const { error, value } = updateStaffSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const staff = await Staff.findById(id);
+
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const before = snapshot(staff);
+    staff.set(value);
+    await staff.save();
+
+    await recordAudit(req, {
+      action: 'staff.update',
+      entityType: 'staff',
+      entityId: staff._id,
+      before,
+      after: staff
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff member updated successfully',
+      staff: formatStaff(staff)
+    });
+
+  } catch (error) {
+    console.error('Error updating staff:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update staff member',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Deactivate a staff member (kept so past bookings still reference them)
+ * @route DELETE /api/staff/:id
+ */
+exports.deactivateStaff = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid staff ID'
+      });
+    }
+
+    const before = await Staff.findByIdAndUpdate(id, { active: false });
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const staff = await Staff.findById(id);
+
+    await recordAudit(req, {
+      action: 'staff.deactivate',
+      entityType: 'staff',
+      entityId: staff._id,
+      before,
+      after: staff
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff member deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deactivating staff:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate staff member',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = exports;
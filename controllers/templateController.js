@@ -0,0 +1,343 @@
+// controllers/templateController.js
+
+const MessageTemplate = require('../models/MessageTemplate');
+const Joi = require('joi');
+const { LANGUAGE_CODES, DEFAULT_LANGUAGE } = require('../config/languages');
+const { events, EXAMPLES } = require('../utils/notifications/messages');
+const { renderString, unknownPlaceholders, getTemplate } = require('../utils/notifications/templates');
+const { snapshot, recordAudit } = require('../utils/audit');
+
+const EVENT_KEYS = Object.keys(events);
+
+// Validation schemas
+const templateSchema = Joi.object({
+  event: Joi.string().valid(...EVENT_KEYS).required(),
+  language: Joi.string().valid(...LANGUAGE_CODES).required(),
+  subject: Joi.string().max(200).optional().allow(''),
+  body: Joi.string().max(2000).required(),
+  active: Joi.boolean().optional()
+});
+
+const updateTemplateSchema = Joi.object({
+  subject: Joi.string().max(200).allow(''),
+  body: Joi.string().max(2000),
+  active: Joi.boolean()
+}).min(1);
+
+const previewSchema = Joi.object({
+  event: Joi.string().valid(...EVENT_KEYS).required(),
+  language: Joi.string().valid(...LANGUAGE_CODES).optional(),
+  // Unsaved wording to try out; the stored or built-in template otherwise
+  subject: Joi.string().max(200).optional().allow(''),
+  body: Joi.string().max(2000).optional(),
+  variables: Joi.object().pattern(Joi.string(), [Joi.string().allow(''), Joi.number()]).optional()
+});
+
+/**
+ * Format a template for API responses
+ * @param {Object} template
+ */
+const formatTemplate = (template) => ({
+  id: template._id,
+  event: template.event,
+  language: template.language,
+  subject: template.subject,
+  body: template.body,
+  active: template.active,
+  updatedBy: template.updatedBy,
+  updatedAt: template.updatedAt
+});
+
+const placeholderError = (res, unknown) => res.status(400).json({
+  success: false,
+  message: `Unknown placeholder${unknown.length > 1 ? 's' : ''}: ${unknown.map(key => `{{${key}}}`).join(', ')}`
+});
+
+/**
+ * List message events with their placeholders and built-in text (Admin)
+ * @route GET /api/admin/templates/events
+ */
+exports.getTemplateEvents = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      languages: LANGUAGE_CODES,
+      defaultLanguage: DEFAULT_LANGUAGE,
+      events: EVENT_KEYS.map(key => ({
+        event: key,
+        placeholders: ['salonName', ...events[key].placeholders],
+        defaultSubject: events[key].subject,
+        defaultBody: events[key].body
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching template events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch template events',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get stored templates (Admin)
+ * @route GET /api/admin/templates?event=booking.confirmed&language=hi
+ */
+exports.getTemplates = async (req, res) => {
+  try {
+    const { event, language } = req.query;
+
+    const query = {};
+    if (event) query.event = event;
+    if (language) query.language = language;
+
+    const templates = await MessageTemplate.find(query).sort({ event: 1, language: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      templates: templates.map(formatTemplate)
+    });
+
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch templates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create the template for an event and language (Admin)
+ * @route POST /api/admin/templates
+ */
+exports.createTemplate = async (req, res) => {
+  try {
+    const { error, value } = templateSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const unknown = unknownPlaceholders(value.event, value.subject, value.body);
+    if (unknown.length) {
+      return placeholderError(res, unknown);
+    }
+
+    const template = await MessageTemplate.create({
+      ...value,
+      subject: value.subject || undefined,
+      updatedBy: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: 'template.create',
+      entityType: 'template',
+      entityId: template._id,
+      after: template
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      template: formatTemplate(template)
+    });
+
+  } catch (error) {
+    console.error('Error creating template:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A template for this event and language already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a template's wording or switch it on/off (Admin)
+ * @route PUT /api/admin/templates/:id
+ */
+exports.updateTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID'
+      });
+    }
+
+    const { error, value } = updateTemplateSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const template = await MessageTemplate.findById(id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    const unknown = unknownPlaceholders(
+      template.event,
+      value.subject ?? template.subject,
+      value.body ?? template.body
+    );
+    if (unknown.length) {
+      return placeholderError(res, unknown);
+    }
+
+    const before = snapshot(template);
+    template.set({
+      ...value,
+      ...(value.subject !== undefined && { subject: value.subject || undefined }),
+      updatedBy: req.user.id
+    });
+    await template.save();
+
+    await recordAudit(req, {
+      action: 'template.update',
+      entityType: 'template',
+      entityId: template._id,
+      before,
+      after: template
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Template updated successfully',
+      template: formatTemplate(template)
+    });
+
+  } catch (error) {
+    console.error('Error updating template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a template, reverting the event to the default wording (Admin)
+ * @route DELETE /api/admin/templates/:id
+ */
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID'
+      });
+    }
+
+    const template = await MessageTemplate.findByIdAndDelete(id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'template.delete',
+      entityType: 'template',
+      entityId: template._id,
+      before: template
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Render a template with sample values (Admin)
+ * Previews the given subject/body, or the wording customers currently get.
+ * @route POST /api/admin/templates/preview
+ */
+exports.previewTemplate = async (req, res) => {
+  try {
+    const { error, value } = previewSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { event, variables } = value;
+    const language = value.language || DEFAULT_LANGUAGE;
+
+    const template = value.body
+      ? { subject: value.subject, body: value.body, language, source: 'request' }
+      : await getTemplate(event, language);
+
+    const values = {
+      ...Object.fromEntries(events[event].placeholders.map(key => [key, EXAMPLES[key]])),
+      ...variables
+    };
+
+    res.status(200).json({
+      success: true,
+      preview: {
+        event,
+        language: template.language,
+        source: template.source, // request, stored or default
+        subject: renderString(template.subject || events[event].subject, values, template.language),
+        text: renderString(template.body, values, template.language),
+        unknownPlaceholders: unknownPlaceholders(event, template.subject, template.body)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error previewing template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = exports;
@@ -1,19 +1,20 @@
-const TimeSlot = require('../models/TimeSlot');
+const { getDaySlots, setSlotBlocked } = require('../utils/timeSlots');
+const { recordAudit } = require('../utils/audit');
+
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+const timePattern = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
 
 exports.getTimeSlots = async (req, res) => {
   try {
     const { date } = req.query;
-    let slot = await TimeSlot.findOne({ date: new Date(date) });
-    if (!slot) {
-      // Generate default slots (e.g., 9AM-6PM hourly)
-      const slots = Array.from({ length: 10 }, (_, i) => ({
-        time: `${9 + i}:00 AM`,
-        available: true
-      }));
-      slot = new TimeSlot({ date: new Date(date), slots });
-      await slot.save();
+    if (!date || !datePattern.test(date)) {
+      return res.status(400).json({ message: 'Date parameter is required (format: YYYY-MM-DD)' });
     }
-    res.json(slot.slots);
+
+    // Slots are worked out from the schedule, admin blocks and bookings;
+    // this public read never writes (repairs go through repairTimeSlots)
+    const slots = await getDaySlots(new Date(date + 'T00:00:00.000Z'));
+    res.json(slots);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -21,13 +22,30 @@ exports.getTimeSlots = async (req, res) => {
 
 exports.blockSlot = async (req, res) => {
   const { date, time } = req.body;
+  if (!date || !datePattern.test(date) || !time || !timePattern.test(time)) {
+    return res.status(400).json({ message: 'date (YYYY-MM-DD) and time (HH:MM) are required' });
+  }
+
   try {
-    await TimeSlot.updateOne(
-      { date, 'slots.time': time },
-      { $set: { 'slots.$.available': false } }
-    );
+    await setSlotBlocked(new Date(date + 'T00:00:00.000Z'), time, true);
+    await recordAudit(req, { action: 'timeslot.block', entityType: 'timeslot', entityId: `${date} ${time}` });
     res.json({ message: 'Slot blocked' });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
-};
\ No newline at end of file
+};
+
+exports.unblockSlot = async (req, res) => {
+  const { date, time } = req.body;
+  if (!date || !datePattern.test(date) || !time || !timePattern.test(time)) {
+    return res.status(400).json({ message: 'date (YYYY-MM-DD) and time (HH:MM) are required' });
+  }
+
+  try {
+    await setSlotBlocked(new Date(date + 'T00:00:00.000Z'), time, false);
+    await recordAudit(req, { action: 'timeslot.unblock', entityType: 'timeslot', entityId: `${date} ${time}` });
+    res.json({ message: 'Slot unblocked' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
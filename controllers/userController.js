@@ -0,0 +1,138 @@
+// controllers/userController.js
+
+const User = require('../models/User');
+const Joi = require('joi');
+const { ROLES } = require('../config/permissions');
+const { revokeAllSessions } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
+
+// Validation schemas
+const roleSchema = Joi.object({
+  role: Joi.string().valid(...ROLES).required()
+});
+
+/**
+ * Get users, optionally filtered by role (Admin)
+ * @route GET /api/admin/users?role=stylist
+ */
+exports.getUsers = async (req, res) => {
+  try {
+    const { role } = req.query;
+
+    const query = {};
+    if (role) {
+      query.role = role;
+    }
+
+    const users = await User.find(query)
+      .select('-password')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      users: users.map(u => ({
+        id: u._id,
+        name: u.name,
+        email: u.email,
+        phone: u.phone,
+        role: u.role,
+        createdAt: u.createdAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Change a user's role (Admin)
+ * @route PATCH /api/admin/users/:id/role
+ */
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const { error, value } = roleSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Keep at least one owner so roles can still be managed
+    if (user.role === 'owner' && value.role !== 'owner') {
+      const owners = await User.countDocuments({ role: { $in: ['owner', 'admin'] } });
+      if (owners <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change the role of the only owner'
+        });
+      }
+    }
+
+    const roleChanged = user.role !== value.role;
+    const before = { role: user.role };
+    user.role = value.role;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.role_change',
+      entityType: 'user',
+      entityId: user._id,
+      before,
+      after: { role: user.role }
+    });
+
+    // Tokens carry the role, so make the user sign in again to pick it up
+    if (roleChanged) {
+      await revokeAllSessions(user._id, 'role_changed');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = exports;
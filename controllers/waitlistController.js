@@ -0,0 +1,381 @@
+// controllers/waitlistController.js
+
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Joi = require('joi');
+const { LANGUAGE_CODES } = require('../config/languages');
+const { getServiceTiming } = require('../utils/availability');
+const { refreshTimeSlot } = require('../utils/bookings');
+const { getManageUrl } = require('../utils/manageLinks');
+const { notifyWaitlist } = require('../utils/waitlist');
+const { hashToken } = require('../utils/tokens');
+const { statusEntry } = require('../utils/bookingStatus');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { notify } = require('../utils/notifications');
+const { recordOptIn } = require('../utils/consent');
+
+const timePattern = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Validation schemas
+const waitlistSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  phone: Joi.string().pattern(/^[0-9]{10}$/).required(),
+  email: Joi.string().email().optional().allow(''),
+  language: Joi.string().valid(...LANGUAGE_CODES).optional(),
+  optIn: Joi.boolean().optional(), // agrees to booking messages on WhatsApp/SMS
+  marketingOptIn: Joi.boolean().optional(),
+  service: Joi.string().required(),
+  serviceId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  staffId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  date: Joi.date().min('now').required(),
+  timeFrom: Joi.string().pattern(timePattern).optional(),
+  timeTo: Joi.string().pattern(timePattern).optional()
+});
+
+/**
+ * Find the entry a claim token was issued for
+ * @param {string} token
+ * @returns {Promise<Object|null>}
+ */
+const findByToken = (token) => WaitlistEntry.findOne({ claimTokenHash: hashToken(token || '') });
+
+/**
+ * Join the waitlist for a date
+ * @route POST /api/waitlist
+ */
+exports.joinWaitlist = async (req, res) => {
+  try {
+    const { error, value } = waitlistSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { name, phone, email, language, service, serviceId, staffId, date, timeFrom, timeTo } = value;
+
+    if (timeFrom && timeTo && timeFrom >= timeTo) {
+      return res.status(400).json({
+        success: false,
+        message: 'timeFrom must be before timeTo'
+      });
+    }
+
+    const waitDate = new Date(date);
+    waitDate.setUTCHours(0, 0, 0, 0);
+
+    // Resolve the service so offers use its duration and required skill
+    const timing = await getServiceTiming({ serviceId, service });
+
+    const existing = await WaitlistEntry.findOne({
+      phone,
+      date: waitDate,
+      status: { $in: ['waiting', 'notified'] }
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are already on the waitlist for this date'
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      name: name.trim(),
+      phone,
+      email: email?.trim() || undefined,
+      language,
+      service: service.trim(),
+      serviceId: timing.service?._id,
+      staffId,
+      date: waitDate,
+      timeFrom,
+      timeTo
+    });
+
+    await recordOptIn(value, 'waitlist', req);
+
+    const position = await WaitlistEntry.countDocuments({
+      date: waitDate,
+      status: 'waiting',
+      createdAt: { $lte: entry.createdAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "You're on the waitlist. We'll message you if a slot opens up.",
+      entry: {
+        id: entry._id,
+        date: waitDate.toISOString().split('T')[0],
+        timeFrom: entry.timeFrom,
+        timeTo: entry.timeTo,
+        service: entry.service,
+        status: entry.status,
+        position
+      }
+    });
+
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * View the slot offered by a claim link
+ * @route GET /api/waitlist/claim/:token
+ */
+exports.getOffer = async (req, res) => {
+  try {
+    const entry = await findByToken(req.params.token);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found'
+      });
+    }
+
+    const expired = entry.status === 'expired' ||
+      (entry.status === 'notified' && entry.claimExpiresAt <= new Date());
+
+    res.status(200).json({
+      success: true,
+      offer: {
+        name: entry.name,
+        service: entry.service,
+        date: entry.date.toISOString().split('T')[0],
+        timeSlot: entry.offeredTime,
+        status: expired ? 'expired' : entry.status,
+        claimExpiresAt: entry.claimExpiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching waitlist offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch offer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Claim an offered slot, confirming the booking held for the customer
+ * @route POST /api/waitlist/claim/:token
+ */
+exports.claimOffer = async (req, res) => {
+  try {
+    // Claim the offer and its held booking in single conditional updates
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      {
+        claimTokenHash: hashToken(req.params.token || ''),
+        status: 'notified',
+        claimExpiresAt: { $gt: new Date() }
+      },
+      { $set: { status: 'claimed', claimedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!entry) {
+      const existing = await findByToken(req.params.token);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Offer not found'
+        });
+      }
+
+      return res.status(existing.status === 'claimed' ? 400 : 410).json({
+        success: false,
+        message: existing.status === 'claimed'
+          ? 'This offer has already been claimed'
+          : 'This offer has expired'
+      });
+    }
+
+    const booking = await Booking.findOneAndUpdate(
+      { _id: entry.bookingId, status: 'pending' },
+      {
+        $set: { status: 'confirmed' },
+        $unset: { holdExpiresAt: 1 },
+        $push: { statusHistory: statusEntry('pending', 'confirmed', { actor: 'customer', reason: 'Claimed from waitlist' }) }
+      },
+      { new: true }
+    );
+
+    if (!booking) {
+      await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { status: 'expired' } });
+      return res.status(410).json({
+        success: false,
+        message: 'This offer has expired'
+      });
+    }
+
+    await notify('booking.confirmed', { booking });
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking confirmed successfully',
+      booking: {
+        id: booking._id,
+        name: booking.name,
+        service: booking.service,
+        status: booking.status,
+        date: booking.date.toISOString().split('T')[0],
+        timeSlot: booking.timeSlot || booking.time,
+        manageUrl: getManageUrl(booking)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error claiming waitlist offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to claim offer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get waitlist entries (Admin)
+ * @route GET /api/waitlist?date=YYYY-MM-DD&status=waiting
+ */
+exports.getWaitlist = async (req, res) => {
+  try {
+    const { date, status } = req.query;
+
+    const query = {};
+    if (date) {
+      const queryDate = new Date(date + 'T00:00:00.000Z');
+      if (!isNaN(queryDate.getTime())) {
+        query.date = queryDate;
+      }
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('staffId', 'name')
+      .sort({ date: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      entries: entries.map(e => ({
+        id: e._id,
+        name: e.name,
+        phone: e.phone,
+        email: e.email,
+        service: e.service,
+        staff: e.staffId,
+        date: e.date.toISOString().split('T')[0],
+        timeFrom: e.timeFrom,
+        timeTo: e.timeTo,
+        status: e.status,
+        offeredTime: e.offeredTime,
+        bookingId: e.bookingId,
+        claimExpiresAt: e.claimExpiresAt,
+        createdAt: e.createdAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remove someone from the waitlist, releasing any slot held for them
+ * @route DELETE /api/waitlist/:id
+ */
+exports.removeEntry = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid waitlist ID'
+      });
+    }
+
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: id, status: { $in: ['waiting', 'notified'] } },
+      { $set: { status: 'cancelled' } }
+    );
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active waitlist entry not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'waitlist.remove',
+      entityType: 'waitlist',
+      entityId: entry._id,
+      before: entry,
+      after: { ...snapshot(entry), status: 'cancelled' }
+    });
+
+    // Pass a slot held for this entry on to the next person waiting
+    if (entry.status === 'notified') {
+      const change = statusEntry('pending', 'cancelled', {
+        actor: req.user.role,
+        actorId: req.user.id,
+        reason: 'Removed from waitlist'
+      });
+      const released = await Booking.findOneAndUpdate(
+        { _id: entry.bookingId, status: 'pending' },
+        { $set: { status: 'cancelled' }, $push: { statusHistory: change } },
+        { new: true }
+      );
+
+      if (released) {
+        await refreshTimeSlot(released.date);
+        await notifyWaitlist([released]);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Removed from waitlist'
+    });
+
+  } catch (error) {
+    console.error('Error removing waitlist entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove waitlist entry',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = exports;
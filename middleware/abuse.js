@@ -0,0 +1,114 @@
+// middleware/abuse.js
+//
+// Protection for public endpoints: rate limits, an optional challenge
+// (captcha) check and duplicate-submission detection. Counters live in the
+// pluggable store from utils/rateStore.js.
+
+const crypto = require('crypto');
+const { getStore } = require('../utils/rateStore');
+
+// Challenge verifier: async (token, req) => boolean. The default accepts
+// everything; plug in a captcha provider with setChallengeVerifier().
+let challengeVerifier = async () => true;
+
+/**
+ * Replace the challenge verifier
+ * @param {Function} verifier - async (token, req) => boolean
+ */
+exports.setChallengeVerifier = (verifier) => {
+  challengeVerifier = verifier;
+};
+
+// Request keys used by rate limits
+exports.byIp = (req) => req.ip;
+exports.byPhone = (req) => (typeof req.body?.phone === 'string' ? req.body.phone : null);
+
+/**
+ * Limit how often a key (IP, phone, ...) may hit a route
+ * @param {Object} options
+ * @param {string} options.name - Namespace for the counter, e.g. 'bookings:ip'
+ * @param {number} options.max - Requests allowed per window
+ * @param {number} options.windowMs
+ * @param {Function} options.key - req => string; requests without a key aren't counted
+ * @returns {Function} Express middleware
+ */
+exports.rateLimit = ({ name, max, windowMs, key }) => async (req, res, next) => {
+  const id = key(req);
+  if (!id) return next();
+
+  try {
+    const { count, resetAt } = await getStore().increment(`rate:${name}:${id}`, windowMs);
+
+    if (count > max) {
+      res.set('Retry-After', String(Math.ceil((resetAt - Date.now()) / 1000)));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many requests. Please try again later.'
+      });
+    }
+  } catch (error) {
+    // A broken store shouldn't take the booking form down with it
+    console.error('❌ Rate limit store error:', error.message);
+  }
+
+  next();
+};
+
+/**
+ * Check the challenge token sent in the x-captcha-token header or body.captchaToken
+ * @returns {Function} Express middleware
+ */
+exports.verifyChallenge = () => async (req, res, next) => {
+  const token = req.header('x-captcha-token') || req.body?.captchaToken;
+  if (req.body) delete req.body.captchaToken;
+
+  try {
+    if (!(await challengeVerifier(token, req))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Verification failed. Please try again.'
+      });
+    }
+  } catch (error) {
+    console.error('Error verifying challenge:', error);
+    return res.status(503).json({
+      success: false,
+      message: 'Verification is unavailable. Please try again shortly.'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Reject the same submission repeated within a window (double clicks, replays)
+ * A submission that fails (4xx/5xx) is forgotten so it can be corrected and resent.
+ * @param {Object} options
+ * @param {string} options.name - Namespace, e.g. 'bookings'
+ * @param {number} options.windowMs
+ * @param {Function} options.fingerprint - req => value identifying the submission
+ * @returns {Function} Express middleware
+ */
+exports.preventDuplicates = ({ name, windowMs, fingerprint }) => async (req, res, next) => {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(fingerprint(req))).digest('hex');
+  const key = `dup:${name}:${hash}`;
+
+  try {
+    if (!(await getStore().setIfAbsent(key, windowMs))) {
+      return res.status(409).json({
+        success: false,
+        message: 'This looks like a duplicate submission. Please wait before trying again.'
+      });
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode >= 400) {
+        getStore().delete(key).catch(() => {});
+      }
+    });
+  } catch (error) {
+    console.error('❌ Duplicate check store error:', error.message);
+  }
+
+  next();
+};
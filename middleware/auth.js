@@ -1,24 +1,76 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
+const { PERMISSIONS, normalizeRole, hasPermission } = require('../config/permissions');
+const { isSessionActive } = require('../utils/tokens');
+const { verifyManageToken } = require('../utils/manageLinks');
 
-exports.auth = (req, res, next) => {
-  const token = req.header('x-auth-token');
+// Rejects missing, expired and revoked (logged out) access tokens
+exports.auth = async (req, res, next) => {
+  const bearer = req.header('authorization');
+  const token = req.header('x-auth-token') ||
+    (bearer && bearer.startsWith('Bearer ') ? bearer.slice(7) : null);
   if (!token) {
     return res.status(401).json({ message: 'No token, authorization denied' });
   }
   
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    const message = err.name === 'TokenExpiredError' ? 'Token has expired' : 'Token is not valid';
+    return res.status(401).json({ message });
+  }
+
+  try {
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
   } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
+    return res.status(500).json({ message: 'Failed to verify token' });
+  }
+
+  req.user = { ...decoded, role: normalizeRole(decoded.role) };
+  next();
+};
+
+/**
+ * Allow only roles holding a permission from config/permissions.js
+ * Use after auth: router.get('/all', auth, authorize('bookings:read'), handler)
+ * @param {string} permission
+ * @returns {Function} Express middleware
+ */
+exports.authorize = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
   }
+
+  const check = (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+      return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
+    }
+    next();
+  };
+  check.permission = permission; // lets the route tests find every protected route
+  return check;
 };
 
+// Signed manage-booking link: acts as the customer for that one booking,
+// so the regular booking handlers can serve /manage/:token routes
+exports.manageLinkAuth = (req, res, next) => {
+  const bookingId = verifyManageToken(req.params.token);
+  if (!bookingId) {
+    return res.status(401).json({ message: 'This link is invalid or has expired' });
+  }
+
+  req.user = { role: 'customer', bookingId };
+  req.params.id = bookingId;
+  next();
+};
+
+// Any salon staff role; prefer authorize() with a specific permission
 exports.adminAuth = (req, res, next) => {
-  if (!req.user.isAdmin) {
+  if (!req.user || !req.user.role || normalizeRole(req.user.role) === 'customer') {
     return res.status(403).json({ message: 'Access denied. Admin only.' });
   }
   next();
-};
\ No newline at end of file
+};
@@ -0,0 +1,41 @@
+// middleware/webhooks.js
+//
+// Checks that webhook calls really come from the provider.
+
+const twilio = require('twilio');
+
+/**
+ * URL Twilio signed: PUBLIC_API_URL (e.g. https://api.example.com) when the
+ * app sits behind a proxy that rewrites hosts, the request URL otherwise
+ */
+const webhookUrl = (req) =>
+  `${process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`}${req.originalUrl}`;
+
+/**
+ * Reject requests without a valid X-Twilio-Signature
+ * Validation can only be switched off explicitly, for local testing, with
+ * TWILIO_VALIDATE_WEBHOOKS=false.
+ */
+exports.verifyTwilioSignature = (req, res, next) => {
+  if (process.env.TWILIO_VALIDATE_WEBHOOKS === 'false') return next();
+
+  if (!process.env.TWILIO_TOKEN) {
+    return res.status(503).json({
+      success: false,
+      message: 'Webhook is not configured'
+    });
+  }
+
+  const signature = req.get('X-Twilio-Signature');
+  const valid = Boolean(signature) &&
+    twilio.validateRequest(process.env.TWILIO_TOKEN, signature, webhookUrl(req), req.body || {});
+
+  if (!valid) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,53 @@
+// models/AuditLog.js
+
+const mongoose = require('mongoose');
+
+// Record of an administrative change. Append-only: entries are created,
+// never updated or deleted through the model.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    role: { type: String }
+  },
+  action: {
+    type: String,
+    required: true
+  }, // <entity>.<verb>, e.g. booking.delete, review.approve
+  entity: {
+    type: { type: String, required: true }, // booking, review, staff ...
+    id: { type: String } // document ID, or a natural key such as "2026-01-28 10:00"
+  },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  diff: { type: mongoose.Schema.Types.Mixed }, // { field: { from, to } } for changed fields
+  metadata: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+  userAgent: { type: String },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+auditLogSchema.index({ timestamp: -1 });
+auditLogSchema.index({ 'actor.userId': 1, timestamp: -1 });
+auditLogSchema.index({ action: 1, timestamp: -1 });
+auditLogSchema.index({ 'entity.type': 1, 'entity.id': 1, timestamp: -1 });
+
+const appendOnly = function(next) {
+  next(new Error('Audit log entries cannot be changed or removed'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  appendOnly
+);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
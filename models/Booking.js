@@ -1,6 +1,7 @@
 // models/Booking.js
 
 const mongoose = require('mongoose');
+const { LANGUAGE_CODES } = require('../config/languages');
 
 const bookingSchema = new mongoose.Schema({
   // User Information (for public bookings without login)
@@ -23,6 +24,16 @@ const bookingSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
   },
+  // Channel the customer wants to hear from us on (see utils/notifications)
+  preferredChannel: {
+    type: String,
+    enum: ['whatsapp', 'sms', 'email']
+  },
+  // Language messages are written in; defaults to the customer's
+  language: {
+    type: String,
+    enum: LANGUAGE_CODES
+  },
   
   // Service Information
   service: {
@@ -35,6 +46,31 @@ const bookingSchema = new mongoose.Schema({
     ref: 'Service'
   },
   
+  // Every service in the appointment, in the order performed
+  // (service holds their combined name and serviceId the first one)
+  services: [{
+    _id: false,
+    serviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', required: true },
+    name: { type: String, required: true },
+    category: { type: String },
+    duration: { type: Number, required: true }, // minutes
+    price: { type: Number },
+    start: {
+      type: String,
+      match: [/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid start time (use HH:MM)']
+    }
+  }],
+  totalPrice: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  
+  // Stylist performing the service
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  
   // Booking Details
   date: { 
     type: Date, 
@@ -57,13 +93,39 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     match: [/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time slot format (use HH:MM)']
   },
+  duration: {
+    type: Number,
+    min: [1, 'Duration must be at least 1 minute']
+  }, // total minutes of all services, copied at booking time
+  bufferTime: {
+    type: Number,
+    min: [0, 'Buffer time cannot be negative'],
+    default: 0
+  }, // cleanup minutes blocked after the service
   
   // Status
   status: { 
     type: String, 
-    enum: ['pending', 'confirmed', 'cancelled', 'completed'], 
+    enum: ['pending', 'confirmed', 'cancelled', 'completed', 'no_show'], 
     default: 'confirmed'
+  }, // allowed changes are enforced in utils/bookingStatus.js
+  
+  // Every status change, oldest first
+  statusHistory: [{
+    _id: false,
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+    actor: { type: String, required: true }, // staff role, customer or system
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String, maxlength: [500, 'Reason must not exceed 500 characters'] },
+    timestamp: { type: Date, default: Date.now }
+  }],
+  
+  // Checkout hold: a pending booking that lapses unless confirmed by this time
+  holdExpiresAt: {
+    type: Date
   },
+  holdTokenHash: { type: String, select: false }, // only the createHold caller has the token
   
   // Additional Information
   notes: { 
@@ -71,6 +133,33 @@ const bookingSchema = new mongoose.Schema({
     maxlength: [500, 'Notes must not exceed 500 characters']
   },
   
+  // Recurring series this booking belongs to, if any
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries'
+  },
+  
+  // Previous dates/times, most recent last
+  rescheduleHistory: [{
+    _id: false,
+    fromDate: { type: Date, required: true },
+    fromTime: { type: String, required: true },
+    fromStaffId: { type: mongoose.Schema.Types.ObjectId, ref: 'Staff' },
+    toDate: { type: Date, required: true },
+    toTime: { type: String, required: true },
+    toStaffId: { type: mongoose.Schema.Types.ObjectId, ref: 'Staff' },
+    reason: { type: String, maxlength: [500, 'Reason must not exceed 500 characters'] },
+    rescheduledAt: { type: Date, default: Date.now }
+  }],
+  
+  // Messages about this booking turned off through its manage link. The link
+  // doesn't prove who holds the phone/email, so it can't change their consent.
+  messagesMuted: { type: Boolean, default: false },
+  
+  // Single-use review link sent when the visit is completed (only the hash is stored)
+  reviewTokenHash: { type: String, select: false },
+  reviewLinkExpiresAt: { type: Date },
+  
   // User Reference (optional - for logged in users)
   userId: { 
     type: mongoose.Schema.Types.ObjectId, 
@@ -81,12 +170,16 @@ const bookingSchema = new mongoose.Schema({
 });
 
 // Indexes for better query performance
-bookingSchema.index({ date: 1, time: 1 }, { unique: true }); // Prevent double booking
+bookingSchema.index({ date: 1, staffId: 1 }); // Per-stylist conflict checks
+bookingSchema.index({ date: 1, time: 1 });
 bookingSchema.index({ date: 1, timeSlot: 1 }); // For timeSlot queries
 bookingSchema.index({ date: 1, userId: 1 });
 bookingSchema.index({ phone: 1 }); // For phone number queries
 bookingSchema.index({ status: 1 });
+bookingSchema.index({ status: 1, holdExpiresAt: 1 }); // For the hold expiry sweeper
 bookingSchema.index({ userId: 1 });
+bookingSchema.index({ seriesId: 1, date: 1 });
+bookingSchema.index({ reviewTokenHash: 1 }, { sparse: true });
 
 // Virtual to ensure timeSlot and time are synced
 bookingSchema.pre('save', function(next) {
@@ -107,38 +200,25 @@ bookingSchema.methods.getFormattedDetails = function() {
     email: this.email,
     service: this.service,
     serviceId: this.serviceId,
+    services: this.services,
+    totalPrice: this.totalPrice,
+    staffId: this.staffId,
     date: this.date.toISOString().split('T')[0],
     time: this.time,
     timeSlot: this.timeSlot || this.time,
+    duration: this.duration,
+    bufferTime: this.bufferTime,
     status: this.status,
+    holdExpiresAt: this.holdExpiresAt,
     notes: this.notes,
     userId: this.userId,
+    seriesId: this.seriesId,
+    statusHistory: this.statusHistory,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
 };
 
-// Static method to check if a slot is available
-bookingSchema.statics.isSlotAvailable = async function(date, timeSlot) {
-  const booking = await this.findOne({ 
-    date, 
-    $or: [
-      { time: timeSlot },
-      { timeSlot: timeSlot }
-    ],
-    status: { $ne: 'cancelled' }
-  });
-  return !booking;
-};
-
-// Static method to get booked slots for a date
-bookingSchema.statics.getBookedSlots = async function(date) {
-  const bookings = await this.find({ 
-    date,
-    status: { $ne: 'cancelled' }
-  }).select('time timeSlot -_id');
-  
-  return bookings.map(booking => booking.timeSlot || booking.time);
-};
+// Availability is computed in utils/availability.js (getAvailability / findBookingSlot)
 
 module.exports = mongoose.model('Booking', bookingSchema);
\ No newline at end of file
@@ -0,0 +1,23 @@
+// models/BookingDay.js
+
+const mongoose = require('mongoose');
+
+// A counter per day that orders changes to the day's bookings. Placing or
+// moving a booking reads the version, checks availability, writes, then bumps
+// the version only if nobody else has (claimSlot in utils/availability.js).
+// The bump is a single conditional update, so of two requests racing for the
+// same day exactly one keeps its booking, whatever the servers' clocks say.
+const bookingDaySchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  }, // UTC midnight
+  version: {
+    type: Number,
+    default: 0
+  }
+});
+
+bookingDaySchema.index({ date: 1 }, { unique: true });
+
+module.exports = mongoose.model('BookingDay', bookingDaySchema);
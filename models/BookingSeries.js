@@ -0,0 +1,97 @@
+// models/BookingSeries.js
+
+const mongoose = require('mongoose');
+
+// A recurring appointment. Each visit is a regular Booking with seriesId set.
+const bookingSeriesSchema = new mongoose.Schema({
+  // Customer details copied onto every occurrence
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters long'],
+    maxlength: [100, 'Name must not exceed 100 characters']
+  },
+  phone: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[0-9]{10}$/, 'Phone number must be 10 digits']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+  },
+
+  service: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+  serviceIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  }], // Multi-service appointments, in the order performed
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  }, // Requested stylist, if any
+
+  // Recurrence rule
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: [1, 'Interval must be at least 1'],
+    max: [12, 'Interval must not exceed 12'],
+    default: 1
+  }, // Every N days/weeks/months
+  time: {
+    type: String,
+    required: true,
+    match: [/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format (use HH:MM)']
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date
+  },
+  occurrences: {
+    type: Number,
+    min: [1, 'Occurrences must be at least 1']
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes must not exceed 500 characters']
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+bookingSeriesSchema.index({ phone: 1 });
+bookingSeriesSchema.index({ status: 1 });
+
+module.exports = mongoose.model('BookingSeries', bookingSeriesSchema);
@@ -0,0 +1,53 @@
+// models/ConsentLog.js
+
+const mongoose = require('mongoose');
+
+// History of a customer's communication consent: preference changes and
+// suppressions, with who made them and how. Kept for compliance, so it's
+// append-only like the AuditLog.
+const consentLogSchema = new mongoose.Schema({
+  phone: { type: String },
+  email: { type: String },
+  source: {
+    type: String,
+    enum: ['booking', 'waitlist', 'customer', 'keyword', 'admin'],
+    required: true
+  }, // booking form, preferences page, STOP/START reply, staff
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }, // { field: { from, to } }, e.g. { transactional: { from: null, to: true } }
+  note: { type: String }, // e.g. the message that triggered a keyword change
+  actor: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    role: { type: String }
+  },
+  ip: { type: String },
+  userAgent: { type: String },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+consentLogSchema.index({ phone: 1, timestamp: -1 });
+consentLogSchema.index({ email: 1, timestamp: -1 });
+consentLogSchema.index({ timestamp: -1 });
+
+const appendOnly = function(next) {
+  next(new Error('Consent history cannot be changed or removed'));
+};
+
+consentLogSchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+consentLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  appendOnly
+);
+
+module.exports = mongoose.model('ConsentLog', consentLogSchema);
@@ -0,0 +1,38 @@
+// models/ContactPreference.js
+
+const mongoose = require('mongoose');
+
+const timePattern = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// How a customer wants to hear from us, keyed by phone number (or by email
+// for customers without one). Changed only through utils/consent.js, which
+// writes every change to the ConsentLog.
+const contactPreferenceSchema = new mongoose.Schema({
+  phone: { type: String, unique: true, sparse: true }, // 10-digit phone number
+  email: { type: String, lowercase: true, trim: true },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Channels the customer is happy to be messaged on
+  channels: {
+    whatsapp: { type: Boolean, default: true },
+    sms: { type: Boolean, default: true },
+    email: { type: Boolean, default: true }
+  },
+  // Agreed to booking messages on WhatsApp/SMS; unset means never asked
+  transactional: { type: Boolean },
+  marketing: { type: Boolean, default: false },
+  // Salon time; messages that fall inside wait until the end (may span midnight)
+  quietHours: {
+    start: { type: String, match: timePattern },
+    end: { type: String, match: timePattern }
+  }
+}, {
+  timestamps: true
+});
+
+contactPreferenceSchema.index({ email: 1 });
+
+module.exports = mongoose.model('ContactPreference', contactPreferenceSchema);
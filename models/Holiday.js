@@ -0,0 +1,33 @@
+// models/Holiday.js
+
+const mongoose = require('mongoose');
+const { breakSchema } = require('./Schedule');
+
+const timePattern = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// A dated closure, or a day with special opening hours
+const holidaySchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  closed: {
+    type: Boolean,
+    default: true
+  },
+  // Special hours, used when closed is false
+  open: { type: String, match: [timePattern, 'Invalid opening time (use HH:MM)'] },
+  close: { type: String, match: [timePattern, 'Invalid closing time (use HH:MM)'] },
+  breaks: [breakSchema],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason must not exceed 200 characters']
+  }
+}, {
+  timestamps: true
+});
+
+holidaySchema.index({ date: 1 }, { unique: true });
+
+module.exports = mongoose.model('Holiday', holidaySchema);
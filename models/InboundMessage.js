@@ -0,0 +1,57 @@
+// models/InboundMessage.js
+
+const mongoose = require('mongoose');
+
+// A message a customer sent us, e.g. a WhatsApp reply to a confirmation
+const inboundMessageSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['whatsapp', 'sms'],
+    required: true
+  },
+  from: {
+    type: String,
+    required: true
+  }, // 10-digit phone number
+  body: {
+    type: String,
+    default: ''
+  },
+  providerMessageId: { type: String }, // Twilio MessageSid; retried webhooks carry the same one
+
+  // What we made of it
+  keyword: {
+    type: String,
+    enum: ['confirm', 'cancel', 'reschedule', 'stop', 'start']
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  outcome: { type: String }, // e.g. confirmed, cancelled, reschedule_link_sent, no_upcoming_booking
+
+  // handled automatically, or waiting for staff until resolved
+  status: {
+    type: String,
+    enum: ['handled', 'needs_follow_up', 'resolved'],
+    default: 'handled'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: { type: Date },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note must not exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+inboundMessageSchema.index({ providerMessageId: 1 }, { unique: true, sparse: true });
+inboundMessageSchema.index({ status: 1, createdAt: -1 });
+inboundMessageSchema.index({ from: 1, createdAt: -1 });
+
+module.exports = mongoose.model('InboundMessage', inboundMessageSchema);
@@ -0,0 +1,44 @@
+// models/MessageTemplate.js
+
+const mongoose = require('mongoose');
+const { LANGUAGE_CODES } = require('../config/languages');
+
+// Wording of a customer message for one event and language. Placeholders
+// such as {{name}} are filled in when the message is sent; events without a
+// stored template use the built-in text in utils/notifications/messages.js.
+const messageTemplateSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: true,
+    trim: true
+  }, // e.g. booking.confirmed
+  language: {
+    type: String,
+    required: true,
+    enum: LANGUAGE_CODES
+  },
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Subject must not exceed 200 characters']
+  }, // emails only
+  body: {
+    type: String,
+    required: true,
+    maxlength: [2000, 'Body must not exceed 2000 characters']
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+messageTemplateSchema.index({ event: 1, language: 1 }, { unique: true });
+
+module.exports = mongoose.model('MessageTemplate', messageTemplateSchema);
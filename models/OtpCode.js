@@ -0,0 +1,36 @@
+// models/OtpCode.js
+
+const mongoose = require('mongoose');
+
+// A one-time login code sent by SMS. Only its hash is stored.
+const otpCodeSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[0-9]{10}$/, 'Phone number must be 10 digits']
+  },
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  consumedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+otpCodeSchema.index({ phone: 1, createdAt: -1 });
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Drop codes once they expire
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
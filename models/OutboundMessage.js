@@ -0,0 +1,78 @@
+// models/OutboundMessage.js
+
+const mongoose = require('mongoose');
+
+// A customer message waiting to be sent, or the record of one that was.
+// Written by notify() and sent by the queue worker in utils/notifications/queue.js.
+const outboundMessageSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: true
+  }, // e.g. booking.confirmed
+  category: { type: String }, // consent the message needs, see utils/consent.js
+  channel: {
+    type: String,
+    enum: ['whatsapp', 'sms', 'email'],
+    required: true
+  },
+  recipient: {
+    name: { type: String },
+    phone: { type: String },
+    email: { type: String }
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  language: { type: String },
+  subject: { type: String },
+  text: { type: String, required: true },
+  // Login codes and account links: hidden from admins and cleared once sent
+  sensitive: { type: Boolean, default: false },
+  html: { type: String },
+  attachments: { type: mongoose.Schema.Types.Mixed },
+
+  // queued -> sending -> sent; a failed send goes back to the queue as
+  // failed until maxAttempts, then to dead (dead-letter) for an admin to resend.
+  // suppressed: not sent because the customer opted out or never opted in
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed', 'dead', 'suppressed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: { type: Date }, // set while a worker is sending
+  lastError: { type: String },
+  suppressedReason: { type: String }, // see checkConsent() in utils/consent.js, or booking_muted
+  attemptLog: [{
+    _id: false,
+    at: { type: Date },
+    error: { type: String } // empty for the successful attempt
+  }],
+  provider: { type: String }, // adapter that sent it
+  providerMessageId: { type: String }, // Twilio SID or SMTP message ID
+  sentAt: { type: Date },
+  resentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+outboundMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboundMessageSchema.index({ bookingId: 1, createdAt: -1 });
+outboundMessageSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('OutboundMessage', outboundMessageSchema);
@@ -0,0 +1,48 @@
+// models/Reminder.js
+
+const mongoose = require('mongoose');
+
+// One appointment reminder. The unique index makes sending idempotent: a
+// reminder is claimed by inserting its record before anything is sent, so a
+// restart or a second worker can't send the same reminder again.
+const reminderSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  offsetMinutes: {
+    type: Number,
+    required: true
+  }, // how long before the appointment it's due
+  // Start of the appointment it reminds about; a rescheduled booking gets new reminders
+  appointmentAt: {
+    type: Date,
+    required: true
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  // sending -> sent (handed to the outbound queue) or failed (nothing to send on)
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    default: 'sending'
+  },
+  // Queued messages; their delivery is tracked on OutboundMessage
+  results: [{
+    _id: false,
+    channel: { type: String },
+    messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'OutboundMessage' },
+    status: { type: String }
+  }],
+  sentAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+reminderSchema.index({ bookingId: 1, offsetMinutes: 1, appointmentAt: 1 }, { unique: true });
+reminderSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Reminder', reminderSchema);
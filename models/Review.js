@@ -32,10 +32,15 @@ const reviewSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set for reviews left through the link sent after a completed booking
   verified: {
     type: Boolean,
     default: false
   },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
   reviewImage: {
     type: String,
     default: null
@@ -48,5 +53,6 @@ const reviewSchema = new mongoose.Schema({
 
 // Index for better query performance
 reviewSchema.index({ approved: 1, createdAt: -1 });
+reviewSchema.index({ bookingId: 1 }, { unique: true, sparse: true }); // One review per booking
 
 module.exports = mongoose.model('Review', reviewSchema);
\ No newline at end of file
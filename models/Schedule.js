@@ -0,0 +1,37 @@
+// models/Schedule.js
+
+const mongoose = require('mongoose');
+
+const timePattern = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+const breakSchema = new mongoose.Schema({
+  start: { type: String, required: true, match: [timePattern, 'Invalid break start (use HH:MM)'] },
+  end: { type: String, required: true, match: [timePattern, 'Invalid break end (use HH:MM)'] },
+  label: { type: String, trim: true }
+}, { _id: false });
+
+// Salon-wide opening hours. There is a single schedule document.
+const scheduleSchema = new mongoose.Schema({
+  // One entry per weekday (day: 0 = Sunday ... 6 = Saturday)
+  weeklyHours: [{
+    _id: false,
+    day: { type: Number, required: true, min: 0, max: 6 },
+    closed: { type: Boolean, default: false },
+    open: { type: String, match: [timePattern, 'Invalid opening time (use HH:MM)'] },
+    close: { type: String, match: [timePattern, 'Invalid closing time (use HH:MM)'] },
+    breaks: [breakSchema]
+  }],
+
+  // Minutes between bookable start times
+  slotInterval: {
+    type: Number,
+    min: [5, 'Slot interval must be at least 5 minutes'],
+    max: [240, 'Slot interval must not exceed 240 minutes'],
+    default: 30
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Schedule', scheduleSchema);
+module.exports.breakSchema = breakSchema;
@@ -5,6 +5,7 @@ const serviceSchema = new mongoose.Schema({
   description: { type: String },
   price: { type: Number, required: true },
   duration: { type: Number, required: true }, // minutes
+  bufferTime: { type: Number, min: 0 }, // cleanup minutes after the service
   category: { type: String, enum: ['hair', 'skin', 'bridal'], required: true },
   image: { type: String }
 }, { timestamps: true });
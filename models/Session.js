@@ -0,0 +1,46 @@
+// models/Session.js
+
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens name their session, so revoking it
+// logs that device out at once; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  }, // sha256 of the current refresh token only
+  expiresAt: {
+    type: Date,
+    required: true
+  }, // refresh token expiry, extended on each rotation
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  }, // logout, logout_all, token_reuse, role_changed ...
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ip: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Drop sessions once they can't be refreshed
+
+module.exports = mongoose.model('Session', sessionSchema);
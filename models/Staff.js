@@ -0,0 +1,53 @@
+// models/Staff.js
+
+const mongoose = require('mongoose');
+
+const timePattern = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+const staffSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters long'],
+    maxlength: [100, 'Name must not exceed 100 characters']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^[0-9]{10}$/, 'Phone number must be 10 digits']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+  },
+
+  // Service categories this stylist can perform
+  skills: [{
+    type: String,
+    enum: ['hair', 'skin', 'bridal']
+  }],
+
+  // Weekly working hours (day: 0 = Sunday ... 6 = Saturday)
+  // A stylist with no entries works whenever the salon is open
+  workingHours: [{
+    _id: false,
+    day: { type: Number, required: true, min: 0, max: 6 },
+    start: { type: String, required: true, match: [timePattern, 'Invalid start time (use HH:MM)'] },
+    end: { type: String, required: true, match: [timePattern, 'Invalid end time (use HH:MM)'] }
+  }],
+
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+staffSchema.index({ active: 1 });
+staffSchema.index({ skills: 1 });
+
+module.exports = mongoose.model('Staff', staffSchema);
@@ -0,0 +1,37 @@
+// models/Suppression.js
+
+const mongoose = require('mongoose');
+
+// An address we must not message on a channel, whatever its preferences
+// say: a STOP reply, a bounced email or a block added by staff.
+// Checked before every message is queued and again before it's sent.
+const suppressionSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['whatsapp', 'sms', 'email'],
+    required: true
+  },
+  address: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  }, // 10-digit phone number, or email address
+  reason: {
+    type: String,
+    enum: ['opt_out', 'bounce', 'complaint', 'admin'],
+    required: true
+  },
+  note: { type: String },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+suppressionSchema.index({ channel: 1, address: 1 }, { unique: true });
+suppressionSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Suppression', suppressionSchema);
@@ -5,6 +5,7 @@ const timeSlotSchema = new mongoose.Schema({
   slots: [{
     time: { type: String, required: true },
     available: { type: Boolean, default: true },
+    blocked: { type: Boolean, default: false }, // Set by an admin, independent of bookings
     bookedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' }
   }]
 }, { timestamps: true });
@@ -1,14 +1,28 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, normalizeRole } = require('../config/permissions');
+const { LANGUAGE_CODES } = require('../config/languages');
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
-  email: { type: String, unique: true, required: true },
+  // Customers who sign in by phone OTP have no email or password
+  email: { type: String, unique: true, sparse: true },
   phone: { type: String },
-  password: { type: String, required: true },
-  role: { type: String, enum: ['user', 'admin'], default: 'user' }
+  phoneVerified: { type: Boolean, default: false },
+  password: { type: String },
+  // false until the emailed link is followed; absent on accounts created before verification existed
+  emailVerified: { type: Boolean },
+  role: { type: String, enum: ROLES, default: 'customer' },
+  language: { type: String, enum: LANGUAGE_CODES }
 }, { timestamps: true });
 
+userSchema.index({ phone: 1 });
+
+// Upgrade pre-RBAC roles (admin/user) as documents are loaded
+userSchema.post('init', function(doc) {
+  doc.role = normalizeRole(doc.role);
+});
+
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 10);
@@ -16,6 +30,7 @@ userSchema.pre('save', async function(next) {
 });
 
 userSchema.methods.comparePassword = async function(candidate) {
+  if (!this.password || !candidate) return false;
   return bcrypt.compare(candidate, this.password);
 };
 
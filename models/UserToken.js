@@ -0,0 +1,37 @@
+// models/UserToken.js
+
+const mongoose = require('mongoose');
+
+// Single-use token emailed to a user (password reset, email verification).
+// Only its hash is stored.
+const userTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.index({ userId: 1, type: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Drop tokens once they expire
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
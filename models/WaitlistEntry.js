@@ -0,0 +1,80 @@
+// models/WaitlistEntry.js
+
+const mongoose = require('mongoose');
+const { LANGUAGE_CODES } = require('../config/languages');
+
+const timePattern = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+const waitlistEntrySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters long'],
+    maxlength: [100, 'Name must not exceed 100 characters']
+  },
+  phone: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[0-9]{10}$/, 'Phone number must be 10 digits']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+  },
+  language: {
+    type: String,
+    enum: LANGUAGE_CODES
+  },
+
+  // What they're waiting for
+  service: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  // Optional window of acceptable start times
+  timeFrom: { type: String, match: [timePattern, 'Invalid time format (use HH:MM)'] },
+  timeTo: { type: String, match: [timePattern, 'Invalid time format (use HH:MM)'] },
+
+  // waiting -> notified -> claimed, or expired / cancelled
+  status: {
+    type: String,
+    enum: ['waiting', 'notified', 'claimed', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+
+  // Current offer: a held booking the customer can claim until claimExpiresAt
+  offeredTime: { type: String, match: [timePattern, 'Invalid time format (use HH:MM)'] },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  claimTokenHash: { type: String, select: false },
+  claimExpiresAt: { type: Date },
+  notifiedAt: { type: Date },
+  claimedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ date: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, claimExpiresAt: 1 });
+waitlistEntrySchema.index({ claimTokenHash: 1 }, { sparse: true });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
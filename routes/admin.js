@@ -1,8 +1,200 @@
 const express = require('express');
 const router = express.Router();
-// const auth = require('../middleware/auth');
-const bookingCtrl = require('../controllers/bookingController'); // Extend for admin
+const { auth, authorize } = require('../middleware/auth');
+const bookingCtrl = require('../controllers/bookingController');
+const userCtrl = require('../controllers/userController');
+const auditCtrl = require('../controllers/auditController');
+const templateCtrl = require('../controllers/templateController');
+const reminderCtrl = require('../controllers/reminderController');
+const messageCtrl = require('../controllers/messageController');
+const inboundCtrl = require('../controllers/inboundController');
+const consentCtrl = require('../controllers/consentController');
 
-router.get('/bookings',  /* admin get all bookings */ );
+// ==================== ADMIN ROUTES ====================
 
-module.exports = router;
\ No newline at end of file
+router.use(auth);
+
+/**
+ * @route   GET /api/admin/bookings
+ * @desc    Get all bookings
+ * @query   page, limit, date, status, search
+ * @access  Private (bookings:read)
+ */
+router.get('/bookings', authorize('bookings:read'), bookingCtrl.getAllBookings);
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Get users
+ * @query   role (optional)
+ * @access  Private (users:manage)
+ */
+router.get('/users', authorize('users:manage'), userCtrl.getUsers);
+
+/**
+ * @route   PATCH /api/admin/users/:id/role
+ * @desc    Change a user's role
+ * @params  id
+ * @body    { role } - owner | manager | receptionist | stylist | customer
+ * @access  Private (users:manage)
+ */
+router.patch('/users/:id/role', authorize('users:manage'), userCtrl.updateUserRole);
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    Get the audit log of administrative changes, newest first
+ * @query   actor (user ID), role, action (e.g. booking.delete or booking.*),
+ *          entityType, entityId, from, to (YYYY-MM-DD), page, limit
+ * @access  Private (audit:read)
+ */
+router.get('/audit', authorize('audit:read'), auditCtrl.getAuditLog);
+
+/**
+ * @route   GET /api/admin/reminders
+ * @desc    Get upcoming appointment reminders and those already sent
+ * @query   days (upcoming window, default 2, max 14),
+ *          status (sending | sent | failed), page, limit
+ * @access  Private (bookings:read)
+ */
+router.get('/reminders', authorize('bookings:read'), reminderCtrl.getReminders);
+
+// ==================== OUTBOUND MESSAGE ROUTES ====================
+
+/**
+ * @route   GET /api/admin/messages
+ * @desc    Get outbound customer messages and their delivery status
+ * @query   status (queued | sending | sent | failed | dead), channel, event,
+ *          bookingId, page, limit
+ * @access  Private (messages:manage)
+ */
+router.get('/messages', authorize('messages:manage'), messageCtrl.getMessages);
+
+/**
+ * @route   POST /api/admin/messages/:id/resend
+ * @desc    Put a failed or dead message back in the queue
+ * @params  id
+ * @access  Private (messages:manage)
+ */
+router.post('/messages/:id/resend', authorize('messages:manage'), messageCtrl.resendMessage);
+
+/**
+ * @route   POST /api/admin/bookings/:id/messages/resend
+ * @desc    Put every failed or dead message for a booking back in the queue
+ * @params  id - Booking ID
+ * @access  Private (messages:manage)
+ */
+router.post('/bookings/:id/messages/resend', authorize('messages:manage'), messageCtrl.resendBookingMessages);
+
+/**
+ * @route   GET /api/admin/inbound
+ * @desc    Get messages customers sent us
+ * @query   status (handled | needs_follow_up | resolved), phone, page, limit
+ * @access  Private (messages:manage)
+ */
+router.get('/inbound', authorize('messages:manage'), inboundCtrl.getInboundMessages);
+
+/**
+ * @route   PATCH /api/admin/inbound/:id/resolve
+ * @desc    Mark a message that needed follow-up as dealt with
+ * @params  id
+ * @body    { note? }
+ * @access  Private (messages:manage)
+ */
+router.patch('/inbound/:id/resolve', authorize('messages:manage'), inboundCtrl.resolveInboundMessage);
+
+// ==================== CONSENT ROUTES ====================
+
+/**
+ * @route   GET /api/admin/consent
+ * @desc    Get a customer's communication preferences, suppressions and consent history
+ * @query   phone and/or email
+ * @access  Private (consent:manage)
+ */
+router.get('/consent', authorize('consent:manage'), consentCtrl.getConsent);
+
+/**
+ * @route   PUT /api/admin/consent
+ * @desc    Record preferences a customer gave staff, e.g. over the phone
+ * @body    { phone | email, channels?: { whatsapp, sms, email }, transactional?, marketing?,
+ *            quietHours?: { start, end } | null, note? }
+ * @access  Private (consent:manage)
+ */
+router.put('/consent', authorize('consent:manage'), consentCtrl.updateConsent);
+
+/**
+ * @route   GET /api/admin/suppressions
+ * @desc    Get addresses we must not message
+ * @query   channel, reason (opt_out | bounce | complaint | admin), address, page, limit
+ * @access  Private (consent:manage)
+ */
+router.get('/suppressions', authorize('consent:manage'), consentCtrl.getSuppressions);
+
+/**
+ * @route   POST /api/admin/suppressions
+ * @desc    Stop messaging an address on a channel
+ * @body    { channel, address (phone or email), reason?, note? }
+ * @access  Private (consent:manage)
+ */
+router.post('/suppressions', authorize('consent:manage'), consentCtrl.addSuppression);
+
+/**
+ * @route   DELETE /api/admin/suppressions/:id
+ * @desc    Take an address off the suppression list, when the customer asked to hear from us again
+ * @params  id
+ * @body    { note? }
+ * @access  Private (consent:manage)
+ */
+router.delete('/suppressions/:id', authorize('consent:manage'), consentCtrl.removeSuppression);
+
+// ==================== MESSAGE TEMPLATE ROUTES ====================
+
+/**
+ * @route   GET /api/admin/templates/events
+ * @desc    List message events with their placeholders and built-in wording
+ * @access  Private (templates:manage)
+ */
+router.get('/templates/events', authorize('templates:manage'), templateCtrl.getTemplateEvents);
+
+/**
+ * @route   POST /api/admin/templates/preview
+ * @desc    Render a template with sample values
+ * @body    { event, language?, subject?, body?, variables? } - without body,
+ *          previews the wording customers currently get
+ * @access  Private (templates:manage)
+ */
+router.post('/templates/preview', authorize('templates:manage'), templateCtrl.previewTemplate);
+
+/**
+ * @route   GET /api/admin/templates
+ * @desc    Get stored message templates
+ * @query   event, language
+ * @access  Private (templates:manage)
+ */
+router.get('/templates', authorize('templates:manage'), templateCtrl.getTemplates);
+
+/**
+ * @route   POST /api/admin/templates
+ * @desc    Create the template for an event and language
+ * @body    { event, language, subject?, body, active? } - body may use
+ *          {{placeholders}} listed by /templates/events
+ * @access  Private (templates:manage)
+ */
+router.post('/templates', authorize('templates:manage'), templateCtrl.createTemplate);
+
+/**
+ * @route   PUT /api/admin/templates/:id
+ * @desc    Update a template's wording or switch it on/off
+ * @params  id
+ * @body    { subject?, body?, active? }
+ * @access  Private (templates:manage)
+ */
+router.put('/templates/:id', authorize('templates:manage'), templateCtrl.updateTemplate);
+
+/**
+ * @route   DELETE /api/admin/templates/:id
+ * @desc    Delete a template, reverting to the built-in wording
+ * @params  id
+ * @access  Private (templates:manage)
+ */
+router.delete('/templates/:id', authorize('templates:manage'), templateCtrl.deleteTemplate);
+
+module.exports = router;
@@ -1,8 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const authCtrl = require('../controllers/authController');
+const consentCtrl = require('../controllers/consentController');
+const { auth } = require('../middleware/auth');
 
 router.post('/register', authCtrl.register);
 router.post('/login', authCtrl.login);
+router.post('/otp/request', authCtrl.requestOtp);
+router.post('/otp/verify', authCtrl.verifyOtp);
+router.post('/verify-email', authCtrl.verifyEmail);
+router.post('/resend-verification', authCtrl.resendVerification);
+router.post('/forgot-password', authCtrl.forgotPassword);
+router.post('/reset-password', authCtrl.resetPassword);
+router.post('/refresh', authCtrl.refresh);
+router.post('/logout', auth, authCtrl.logout);
+router.post('/logout-all', auth, authCtrl.logoutAll);
+router.get('/me', auth, authCtrl.me);
+router.patch('/me', auth, authCtrl.updateMe);
+router.get('/me/preferences', auth, consentCtrl.getMyPreferences);
+router.put('/me/preferences', auth, consentCtrl.updateMyPreferences);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const availabilityCtrl = require('../controllers/availabilityController');
+const { auth, authorize } = require('../middleware/auth');
+
+// ==================== PUBLIC ROUTES ====================
+
+/**
+ * @route   GET /api/availability
+ * @desc    Get bookable start times for a date (schedule, blocks and bookings combined)
+ * @query   date (required) - Format: YYYY-MM-DD
+ * @query   serviceId (optional) - Use the service's duration and required skill
+ * @query   serviceIds (optional) - Comma-separated services done back to back
+ * @query   staffId (optional) - Only this stylist
+ * @access  Public
+ */
+router.get('/', availabilityCtrl.getAvailability);
+
+// ==================== ADMIN ROUTES ====================
+
+/**
+ * @route   GET /api/availability/consistency
+ * @desc    Report TimeSlot documents that disagree with bookings (no changes made)
+ * @query   from, to (optional) - Format: YYYY-MM-DD, from defaults to today
+ * @access  Private (availability:repair)
+ */
+router.get('/consistency', auth, authorize('availability:repair'), availabilityCtrl.checkConsistency);
+
+/**
+ * @route   POST /api/availability/repair
+ * @desc    Rebuild inconsistent TimeSlot documents
+ * @body    { from, to } (optional) - Format: YYYY-MM-DD
+ * @access  Private (availability:repair)
+ */
+router.post('/repair', auth, authorize('availability:repair'), availabilityCtrl.repairConsistency);
+
+module.exports = router;
@@ -1,15 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const bookingCtrl = require('../controllers/bookingController');
-// const auth = require('../middleware/auth');
+const seriesCtrl = require('../controllers/seriesController');
+const consentCtrl = require('../controllers/consentController');
+const { auth, authorize, manageLinkAuth } = require('../middleware/auth');
+const { rateLimit, verifyChallenge, preventDuplicates, byIp, byPhone } = require('../middleware/abuse');
+const limits = require('../config/abuse');
+
+// Public booking submissions: per-IP and per-phone limits, then the challenge check
+const bookingGuards = [
+  rateLimit({ name: 'bookings:ip', ...limits.bookings.perIp, key: byIp }),
+  rateLimit({ name: 'bookings:phone', ...limits.bookings.perPhone, key: byPhone }),
+  verifyChallenge()
+];
+
+const bookingFingerprint = (req) => {
+  const { phone, date, timeSlot, time, service, serviceId, serviceIds } = req.body || {};
+  return [phone, date, timeSlot || time, service, serviceId, serviceIds];
+};
 
 // ==================== PUBLIC ROUTES ====================
 // These routes don't require authentication - for public booking form
 
 /**
  * @route   GET /api/bookings/slots
- * @desc    Get booked time slots for a specific date
+ * @desc    Get booked and available time slots for a date, per stylist and overall
  * @query   date (required) - Format: YYYY-MM-DD
+ * @query   serviceId (optional) - Use the service's duration and required skill
+ * @query   serviceIds (optional) - Comma-separated services done back to back
  * @access  Public
  */
 router.get('/slots', bookingCtrl.getBookedSlots);
@@ -17,10 +35,117 @@ router.get('/slots', bookingCtrl.getBookedSlots);
 /**
  * @route   POST /api/bookings
  * @desc    Create a new booking (public - no login required)
- * @body    { name, phone, email, service, date, timeSlot, notes, price }
- * @access  Public
+ * @body    { name, phone, email, service, serviceId, serviceIds, staffId, date, timeSlot, notes, price,
+ *            optIn, marketingOptIn }
+ *          optIn: the customer ticked the box agreeing to booking messages on WhatsApp/SMS
+ * @access  Public (rate limited, optional captcha)
+ */
+router.post(
+  '/',
+  bookingGuards,
+  preventDuplicates({ name: 'bookings', windowMs: limits.bookings.duplicateWindowMs, fingerprint: bookingFingerprint }),
+  bookingCtrl.createBooking
+);
+
+/**
+ * @route   POST /api/bookings/series
+ * @desc    Create a recurring series and book each occurrence
+ * @body    { name, phone, email, service, serviceId, serviceIds, staffId, date, timeSlot, notes,
+ *            optIn, marketingOptIn, frequency: daily|weekly|monthly, interval, endDate | occurrences }
+ * @access  Public (rate limited, optional captcha)
+ */
+router.post(
+  '/series',
+  bookingGuards,
+  preventDuplicates({ name: 'series', windowMs: limits.bookings.duplicateWindowMs, fingerprint: bookingFingerprint }),
+  seriesCtrl.createSeries
+);
+
+/**
+ * @route   GET /api/bookings/series/:id
+ * @desc    Get a recurring series with its occurrences
+ * @params  id
+ * @access  Private (own series, or bookings:read)
+ */
+router.get('/series/:id', auth, seriesCtrl.getSeries);
+
+/**
+ * @route   POST /api/bookings/hold
+ * @desc    Hold a slot during checkout (pending booking that expires); returns a holdToken
+ * @body    { name, phone, email, service, serviceId, serviceIds, staffId, date, timeSlot, notes, optIn, marketingOptIn, holdMinutes }
+ * @access  Public (rate limited, optional captcha)
+ */
+router.post(
+  '/hold',
+  bookingGuards,
+  preventDuplicates({ name: 'holds', windowMs: limits.bookings.duplicateWindowMs, fingerprint: bookingFingerprint }),
+  bookingCtrl.createHold
+);
+
+/**
+ * @route   POST /api/bookings/:id/hold/confirm
+ * @desc    Confirm a held slot before it expires
+ * @params  id
+ * @body    { holdToken } (or the x-hold-token header)
+ * @access  Public (hold token)
+ */
+router.post('/:id/hold/confirm', bookingCtrl.confirmHold);
+
+/**
+ * @route   DELETE /api/bookings/:id/hold
+ * @desc    Release a held slot
+ * @params  id
+ * @body    { holdToken } (or the x-hold-token header)
+ * @access  Public (hold token)
  */
-router.post('/', bookingCtrl.createBooking);
+router.delete('/:id/hold', bookingCtrl.releaseHold);
+
+// ==================== MANAGE-BOOKING LINK ROUTES ====================
+// Signed links sent in confirmations; the token stands in for a login
+
+/**
+ * @route   GET /api/bookings/manage/:token
+ * @desc    View the booking a manage link was issued for
+ * @params  token
+ * @access  Public (signed link)
+ */
+router.get('/manage/:token', manageLinkAuth, bookingCtrl.getBookingById);
+
+/**
+ * @route   PATCH /api/bookings/manage/:token/cancel
+ * @desc    Cancel the booking (same rules as /:id/cancel)
+ * @params  token
+ * @body    { scope: this | future | series } (optional, defaults to this)
+ * @access  Public (signed link)
+ */
+router.patch('/manage/:token/cancel', manageLinkAuth, bookingCtrl.cancelBooking);
+
+/**
+ * @route   PATCH /api/bookings/manage/:token/reschedule
+ * @desc    Move the booking to a new slot (same rules as /:id/reschedule)
+ * @params  token
+ * @body    { date, timeSlot, staffId, reason }
+ * @access  Public (signed link)
+ */
+router.patch('/manage/:token/reschedule', manageLinkAuth, bookingCtrl.rescheduleBooking);
+
+/**
+ * @route   GET /api/bookings/manage/:token/preferences
+ * @desc    See whether messages about this booking are on
+ * @params  token
+ * @access  Public (signed link)
+ */
+router.get('/manage/:token/preferences', manageLinkAuth, consentCtrl.getBookingPreferences);
+
+/**
+ * @route   PUT /api/bookings/manage/:token/preferences
+ * @desc    Turn messages about this booking on or off (account-wide consent
+ *          needs a signed-in account with a verified phone or email)
+ * @params  token
+ * @body    { messages: boolean }
+ * @access  Public (signed link)
+ */
+router.put('/manage/:token/preferences', manageLinkAuth, consentCtrl.updateBookingPreferences);
 
 // ==================== ADMIN ROUTES ====================
 // IMPORTANT: All specific routes (like /all, /my-bookings) MUST come BEFORE /:id
@@ -30,27 +155,37 @@ router.post('/', bookingCtrl.createBooking);
  * @route   GET /api/bookings/all
  * @desc    Get all bookings (with pagination and filters)
  * @query   page, limit, date, status
- * @access  Private (Admin)
+ * @access  Private (bookings:read)
  */
-router.get('/all', bookingCtrl.getAllBookings);
+router.get('/all', auth, authorize('bookings:read'), bookingCtrl.getAllBookings);
 
 // ==================== PROTECTED ROUTES (USER) ====================
 // These routes require authentication
 
 /**
  * @route   GET /api/bookings/my-bookings
- * @desc    Get current user's bookings
+ * @desc    Get the signed-in user's bookings (made under their account or verified phone)
  * @access  Private
  */
-router.get('/my-bookings', bookingCtrl.getMyBookings);
+router.get('/my-bookings', auth, bookingCtrl.getMyBookings);
 
 /**
  * @route   PATCH /api/bookings/:id/cancel
- * @desc    Cancel a booking
+ * @desc    Cancel a booking, or this and later / all remaining occurrences of its series
+ * @params  id
+ * @body    { scope: this | future | series } (optional, defaults to this)
+ * @access  Private
+ */
+router.patch('/:id/cancel', auth, bookingCtrl.cancelBooking);
+
+/**
+ * @route   PATCH /api/bookings/:id/reschedule
+ * @desc    Move a booking to a new date/time
  * @params  id
+ * @body    { date, timeSlot, staffId, reason }
  * @access  Private
  */
-router.patch('/:id/cancel', bookingCtrl.cancelBooking);
+router.patch('/:id/reschedule', auth, bookingCtrl.rescheduleBooking);
 
 // ==================== DYNAMIC ROUTES ====================
 // IMPORTANT: These MUST come LAST because they match any path
@@ -61,23 +196,23 @@ router.patch('/:id/cancel', bookingCtrl.cancelBooking);
  * @params  id
  * @access  Private
  */
-router.get('/:id', bookingCtrl.getBookingById);
+router.get('/:id', auth, bookingCtrl.getBookingById);
 
 /**
  * @route   PATCH /api/bookings/:id
  * @desc    Update booking status
  * @params  id
- * @body    { status }
- * @access  Private (Admin)
+ * @body    { status, notes, reason }
+ * @access  Private (bookings:update)
  */
-router.patch('/:id', bookingCtrl.updateBooking);
+router.patch('/:id', auth, authorize('bookings:update'), bookingCtrl.updateBooking);
 
 /**
  * @route   DELETE /api/bookings/:id
  * @desc    Delete a booking
  * @params  id
- * @access  Private (Admin)
+ * @access  Private (bookings:delete)
  */
-router.delete('/:id', bookingCtrl.deleteBooking);
+router.delete('/:id', auth, authorize('bookings:delete'), bookingCtrl.deleteBooking);
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const reviewCtrl = require('../controllers/reviewController');
-const auth = require('../middleware/auth');
+const { auth, authorize } = require('../middleware/auth');
+const { rateLimit, verifyChallenge, preventDuplicates, byIp } = require('../middleware/abuse');
+const limits = require('../config/abuse');
 
 // ==================== PUBLIC ROUTES ====================
 
@@ -16,33 +18,64 @@ router.get('/', reviewCtrl.getAllReviews);
  * @route   POST /api/reviews
  * @desc    Create a new review
  * @body    { name, rating, comment, service, email }
- * @access  Public
+ * @access  Public (rate limited, optional captcha)
+ */
+router.post(
+  '/',
+  rateLimit({ name: 'reviews:ip', ...limits.reviews.perIp, key: byIp }),
+  verifyChallenge(),
+  preventDuplicates({
+    name: 'reviews',
+    windowMs: limits.reviews.duplicateWindowMs,
+    fingerprint: (req) => [req.body?.email || req.body?.name, req.body?.comment]
+  }),
+  reviewCtrl.createReview
+);
+
+/**
+ * @route   GET /api/reviews/link/:token
+ * @desc    Get the name, service and date a review link was sent for
+ * @params  token - From the link sent when the booking was completed
+ * @access  Public (review link)
+ */
+router.get('/link/:token', reviewCtrl.getReviewLink);
+
+/**
+ * @route   POST /api/reviews/link/:token
+ * @desc    Leave a verified review for the booking; the link works once
+ * @params  token
+ * @body    { rating, comment }
+ * @access  Public (review link, rate limited)
  */
-router.post('/', reviewCtrl.createReview);
+router.post(
+  '/link/:token',
+  rateLimit({ name: 'reviews:ip', ...limits.reviews.perIp, key: byIp }),
+  reviewCtrl.createVerifiedReview
+);
 
 // ==================== ADMIN ROUTES ====================
 
 /**
  * @route   GET /api/reviews/all
  * @desc    Get all reviews including pending (for admin)
- * @access  Private (Admin)
+ * @access  Private (reviews:moderate)
  */
-router.get('/all',  reviewCtrl.getAllReviewsAdmin);
+router.get('/all', auth, authorize('reviews:moderate'), reviewCtrl.getAllReviewsAdmin);
 
 /**
  * @route   PUT /api/reviews/:id/approve
  * @desc    Approve a review
  * @params  id
- * @access  Private (Admin)
+ * @access  Private (reviews:moderate)
  */
-router.put('/:id/approve',  reviewCtrl.approveReview);
+router.put('/:id/approve', auth, authorize('reviews:moderate'), reviewCtrl.approveReview);
 
 /**
  * @route   DELETE /api/reviews/:id
  * @desc    Delete a review
  * @params  id
- * @access  Private (Admin)
+ * @access  Private (reviews:moderate)
  */
-router.delete('/:id', reviewCtrl.deleteReview);
+router.delete('/:id', auth, authorize('reviews:moderate'), reviewCtrl.deleteReview);
 
 module.exports = router;
\ No newline at end of file
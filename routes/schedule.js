@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const scheduleCtrl = require('../controllers/scheduleController');
+const { auth, authorize } = require('../middleware/auth');
+
+// ==================== PUBLIC ROUTES ====================
+
+/**
+ * @route   GET /api/schedule
+ * @desc    Get weekly opening hours, breaks and slot interval
+ * @access  Public
+ */
+router.get('/', scheduleCtrl.getSchedule);
+
+/**
+ * @route   GET /api/schedule/day
+ * @desc    Get the effective hours and slot start times for a date
+ * @query   date (required) - Format: YYYY-MM-DD
+ * @access  Public
+ */
+router.get('/day', scheduleCtrl.getDaySchedule);
+
+/**
+ * @route   GET /api/schedule/holidays
+ * @desc    Get closures and special-hours days (upcoming by default)
+ * @query   from, to (optional) - Format: YYYY-MM-DD
+ * @access  Public
+ */
+router.get('/holidays', scheduleCtrl.getHolidays);
+
+// ==================== ADMIN ROUTES ====================
+
+/**
+ * @route   PUT /api/schedule
+ * @desc    Update weekly opening hours, breaks and slot interval
+ * @body    { weeklyHours: [{ day, closed, open, close, breaks: [{ start, end, label }] }], slotInterval }
+ * @access  Private (schedule:manage)
+ */
+router.put('/', auth, authorize('schedule:manage'), scheduleCtrl.updateSchedule);
+
+/**
+ * @route   POST /api/schedule/holidays
+ * @desc    Add or replace a closure / special-hours day
+ * @body    { date, closed, open, close, breaks, reason }
+ * @access  Private (schedule:manage)
+ */
+router.post('/holidays', auth, authorize('schedule:manage'), scheduleCtrl.saveHoliday);
+
+/**
+ * @route   DELETE /api/schedule/holidays/:id
+ * @desc    Remove a closure / special-hours day
+ * @params  id
+ * @access  Private (schedule:manage)
+ */
+router.delete('/holidays/:id', auth, authorize('schedule:manage'), scheduleCtrl.deleteHoliday);
+
+module.exports = router;
@@ -1,9 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const serviceCtrl = require('../controllers/serviceController');
-// const auth = require('../middleware/auth');
+const { auth, authorize } = require('../middleware/auth');
 
-router.post('/', serviceCtrl.createService);
+router.post('/', auth, authorize('services:manage'), serviceCtrl.createService);
 router.get('/', serviceCtrl.getServices);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const staffCtrl = require('../controllers/staffController');
+const { auth, authorize } = require('../middleware/auth');
+
+// ==================== PUBLIC ROUTES ====================
+
+/**
+ * @route   GET /api/staff
+ * @desc    Get active stylists (for choosing a stylist when booking)
+ * @query   category (optional) - hair | skin | bridal
+ * @access  Public
+ */
+router.get('/', staffCtrl.getStaff);
+
+// ==================== ADMIN ROUTES ====================
+
+/**
+ * @route   POST /api/staff
+ * @desc    Add a stylist
+ * @body    { name, phone, email, skills, workingHours: [{ day, start, end }] }
+ * @access  Private (staff:manage)
+ */
+router.post('/', auth, authorize('staff:manage'), staffCtrl.createStaff);
+
+/**
+ * @route   PUT /api/staff/:id
+ * @desc    Update a stylist's details, skills or working hours
+ * @params  id
+ * @access  Private (staff:manage)
+ */
+router.put('/:id', auth, authorize('staff:manage'), staffCtrl.updateStaff);
+
+/**
+ * @route   DELETE /api/staff/:id
+ * @desc    Deactivate a stylist
+ * @params  id
+ * @access  Private (staff:manage)
+ */
+router.delete('/:id', auth, authorize('staff:manage'), staffCtrl.deactivateStaff);
+
+module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const timeSlotCtrl = require('../controllers/timeSlotController');
-// const auth = require('../middleware/auth');
+const { auth, authorize } = require('../middleware/auth');
 
 router.get('/', timeSlotCtrl.getTimeSlots);
-router.post('/block', timeSlotCtrl.blockSlot);
+router.post('/block', auth, authorize('timeslots:manage'), timeSlotCtrl.blockSlot);
+router.post('/unblock', auth, authorize('timeslots:manage'), timeSlotCtrl.unblockSlot);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
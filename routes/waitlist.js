@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const waitlistCtrl = require('../controllers/waitlistController');
+const { auth, authorize } = require('../middleware/auth');
+const { rateLimit, verifyChallenge, preventDuplicates, byIp, byPhone } = require('../middleware/abuse');
+const limits = require('../config/abuse');
+
+// Joining holds freed slots for the customer, so it gets the same limits as booking
+const waitlistGuards = [
+  rateLimit({ name: 'waitlist:ip', ...limits.bookings.perIp, key: byIp }),
+  rateLimit({ name: 'waitlist:phone', ...limits.bookings.perPhone, key: byPhone }),
+  verifyChallenge()
+];
+
+const waitlistFingerprint = (req) => {
+  const { phone, date, timeFrom, timeTo, service, serviceId } = req.body || {};
+  return [phone, date, timeFrom, timeTo, service, serviceId];
+};
+
+// ==================== PUBLIC ROUTES ====================
+
+/**
+ * @route   POST /api/waitlist
+ * @desc    Join the waitlist for a fully booked date
+ * @body    { name, phone, email, service, serviceId, staffId, date, timeFrom, timeTo, optIn, marketingOptIn }
+ * @access  Public (rate limited, optional captcha)
+ */
+router.post(
+  '/',
+  waitlistGuards,
+  preventDuplicates({ name: 'waitlist', windowMs: limits.bookings.duplicateWindowMs, fingerprint: waitlistFingerprint }),
+  waitlistCtrl.joinWaitlist
+);
+
+/**
+ * @route   GET /api/waitlist/claim/:token
+ * @desc    View the slot offered by a claim link
+ * @params  token
+ * @access  Public
+ */
+router.get('/claim/:token', waitlistCtrl.getOffer);
+
+/**
+ * @route   POST /api/waitlist/claim/:token
+ * @desc    Claim the offered slot before the link expires
+ * @params  token
+ * @access  Public
+ */
+router.post('/claim/:token', waitlistCtrl.claimOffer);
+
+// ==================== ADMIN ROUTES ====================
+
+/**
+ * @route   GET /api/waitlist
+ * @desc    Get waitlist entries
+ * @query   date, status
+ * @access  Private (waitlist:manage)
+ */
+router.get('/', auth, authorize('waitlist:manage'), waitlistCtrl.getWaitlist);
+
+/**
+ * @route   DELETE /api/waitlist/:id
+ * @desc    Remove an entry, releasing any slot held for it
+ * @params  id
+ * @access  Private (waitlist:manage)
+ */
+router.delete('/:id', auth, authorize('waitlist:manage'), waitlistCtrl.removeEntry);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const inboundCtrl = require('../controllers/inboundController');
+const { verifyTwilioSignature } = require('../middleware/webhooks');
+
+// ==================== PROVIDER WEBHOOKS ====================
+
+/**
+ * @route   POST /api/webhooks/twilio/whatsapp
+ * @desc    Receive a customer's WhatsApp message (Twilio form post). CONFIRM,
+ *          CANCEL and RESCHEDULE act on their next booking; anything else is
+ *          stored for staff follow-up
+ * @body    Twilio webhook fields (From, Body, MessageSid, ...)
+ * @access  Twilio (X-Twilio-Signature)
+ */
+router.post('/twilio/whatsapp', verifyTwilioSignature, inboundCtrl.receiveWhatsApp);
+
+module.exports = router;
@@ -8,6 +8,12 @@ dotenv.config();
 
 const app = express();
 
+// Behind a proxy (Render, Vercel, nginx) set TRUST_PROXY to the number of hops,
+// so req.ip is the client's address for rate limiting
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 /* ==================== MIDDLEWARE ==================== */
 
 // CORS Configuration (FIXED)
@@ -53,6 +59,12 @@ app.get("/", (req, res) => {
       bookings: "/api/bookings",
       reviews: "/api/reviews",
       timeslots: "/api/timeslots",
+      staff: "/api/staff",
+      schedule: "/api/schedule",
+      availability: "/api/availability",
+      waitlist: "/api/waitlist",
+      auth: "/api/auth",
+      admin: "/api/admin",
     },
   });
 });
@@ -62,8 +74,14 @@ app.get("/", (req, res) => {
 app.use("/api/services", require("./routes/services"));
 app.use("/api/bookings", require("./routes/bookings"));
 app.use("/api/reviews", require("./routes/reviews"));
-// app.use("/api/auth", require("./routes/auth"));
+app.use("/api/auth", require("./routes/auth"));
 app.use("/api/timeslots", require("./routes/timeslots"));
+app.use("/api/staff", require("./routes/staff"));
+app.use("/api/schedule", require("./routes/schedule"));
+app.use("/api/availability", require("./routes/availability"));
+app.use("/api/waitlist", require("./routes/waitlist"));
+app.use("/api/admin", require("./routes/admin"));
+app.use("/api/webhooks", require("./routes/webhooks"));
 
 /* ==================== ERROR HANDLING ==================== */
 
@@ -126,6 +144,15 @@ const startServer = async () => {
     console.log(`📊 Database: ${mongoose.connection.name}`);
     console.log("=================================");
 
+    // Drop indexes an older version created in a different form (see utils/indexes.js)
+    await require("./utils/indexes").upgradeIndexes();
+
+    // Background jobs
+    require("./utils/holdSweeper").start();
+    require("./utils/waitlist").start();
+    require("./utils/reminders").start();
+    require("./utils/notifications/queue").start();
+
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`🔗 API: http://localhost:${PORT}/api`);
@@ -138,7 +165,10 @@ const startServer = async () => {
   }
 };
 
-startServer();
+// Started only when run directly; tests require the app without a database
+if (require.main === module) {
+  startServer();
+}
 
 /* ==================== GRACEFUL SHUTDOWN ==================== */
 
@@ -0,0 +1,166 @@
+// test/availability.test.js
+//
+// Overlap, cleanup time and stylist checks, and claimBookingSlot's handling
+// of two requests racing for a slot. The models claimBookingSlot reads are
+// replaced with an in-memory day: no staff unless a test adds some, default
+// opening hours (09:00-19:00, 30 minute grid) and the bookings in `day`.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// Fail fast instead of waiting for a connection if a query isn't stubbed
+mongoose.set('bufferCommands', false);
+
+const Booking = require('../models/Booking');
+const BookingDay = require('../models/BookingDay');
+const Staff = require('../models/Staff');
+const Schedule = require('../models/Schedule');
+const Holiday = require('../models/Holiday');
+const TimeSlot = require('../models/TimeSlot');
+const {
+  getBookingInterval,
+  findConflict,
+  buildResources,
+  isResourceFree,
+  findFreeResource,
+  claimBookingSlot
+} = require('../utils/availability');
+
+const DATE = new Date('2030-01-07T00:00:00.000Z'); // a Monday
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const booking = (time, fields = {}) => ({ _id: objectId(), date: DATE, time, timeSlot: time, duration: 60, bufferTime: 0, ...fields });
+
+const stylist = (name, fields = {}) => ({ _id: objectId(), name, skills: ['hair'], workingHours: [], ...fields });
+
+const lean = (value) => ({ lean: async () => value });
+
+let day;
+
+beforeEach(() => {
+  day = { bookings: [], staff: [], version: 0, deleted: [] };
+
+  Schedule.findOne = () => lean(null);
+  Holiday.findOne = () => lean(null);
+  TimeSlot.findOne = () => lean(null);
+  Staff.find = () => ({ sort: async () => day.staff });
+  Booking.find = (query) => ({
+    select: async () => day.bookings.filter(b => !query._id || String(b._id) !== String(query._id.$ne))
+  });
+  Booking.create = async (fields) => {
+    const created = { _id: objectId(), ...fields };
+    day.bookings.push(created);
+    return created;
+  };
+  Booking.deleteOne = async ({ _id }) => {
+    day.bookings = day.bookings.filter(b => String(b._id) !== String(_id));
+    day.deleted.push(_id);
+  };
+  BookingDay.findOneAndUpdate = async () => ({ version: day.version });
+  BookingDay.updateOne = async ({ version }) => {
+    if (version !== day.version) return { modifiedCount: 0 };
+    day.version++;
+    return { modifiedCount: 1 };
+  };
+});
+
+const request = (time, fields = {}) => ({ date: DATE, time, timeSlot: time, duration: 60, bufferTime: 0, ...fields });
+
+test('a booking occupies its duration plus cleanup time', () => {
+  assert.deepStrictEqual(getBookingInterval(booking('10:00', { duration: 45, bufferTime: 15 })), { start: 600, end: 660 });
+});
+
+test('cleanup time blocks the next start but a touching booking is allowed', () => {
+  const existing = [booking('10:00', { duration: 60, bufferTime: 15 })];
+
+  assert.ok(findConflict(existing, '11:00', 60));
+  assert.strictEqual(findConflict(existing, '11:15', 60), null);
+  assert.strictEqual(findConflict(existing, '09:00', 60), null);
+  assert.ok(findConflict(existing, '09:30', 60));
+});
+
+test('a stylist is only free during their shift', () => {
+  const ana = stylist('Ana', { workingHours: [{ day: 1, start: '12:00', end: '18:00' }] });
+  const [resource] = buildResources([ana], []);
+
+  assert.strictEqual(isResourceFree(resource, DATE, '11:00', 60), false);
+  assert.strictEqual(isResourceFree(resource, DATE, '12:00', 60), true);
+  assert.strictEqual(isResourceFree(resource, DATE, '17:30', 60), false);
+});
+
+test('a booking without a stylist takes up a free chair', () => {
+  const ana = stylist('Ana');
+  const bea = stylist('Bea');
+  const resources = buildResources([ana, bea], [
+    booking('10:00', { staffId: ana._id }),
+    booking('10:00') // made before staff existed
+  ]);
+
+  assert.strictEqual(resources[1].bookings.length, 1);
+  assert.strictEqual(findFreeResource(resources, DATE, '10:30', 60), null);
+  assert.ok(findFreeResource(resources, DATE, '11:00', 60));
+});
+
+test('the least busy free stylist is chosen', () => {
+  const ana = stylist('Ana');
+  const bea = stylist('Bea');
+  const resources = buildResources([ana, bea], [booking('09:00', { staffId: ana._id })]);
+
+  assert.strictEqual(findFreeResource(resources, DATE, '15:00', 60).staff, bea);
+});
+
+test('claimBookingSlot saves the booking when the slot is free', async () => {
+  const result = await claimBookingSlot(request('10:00'));
+
+  assert.ok(result.booking);
+  assert.strictEqual(day.bookings.length, 1);
+  assert.strictEqual(day.version, 1);
+});
+
+test('claimBookingSlot refuses a slot taken by a booking and its cleanup time', async () => {
+  day.bookings.push(booking('09:00', { duration: 60, bufferTime: 30 }));
+
+  const result = await claimBookingSlot(request('10:00'));
+
+  assert.strictEqual(result.booking, null);
+  assert.deepStrictEqual(result.suggestedTimes, ['10:30', '11:00', '11:30']);
+});
+
+test('claimBookingSlot gives way to a request that got in first', async () => {
+  // Another request books the same time between our availability check and our write
+  const create = Booking.create;
+  Booking.create = async (fields) => {
+    Booking.create = create;
+    day.bookings.push(booking('10:00'));
+    day.version++;
+    return create(fields);
+  };
+
+  const result = await claimBookingSlot(request('10:00'));
+
+  assert.strictEqual(result.booking, null);
+  assert.strictEqual(day.deleted.length, 1);
+  assert.strictEqual(day.bookings.length, 1);
+});
+
+test('claimBookingSlot retries on another stylist when it loses a race', async () => {
+  const ana = stylist('Ana');
+  const bea = stylist('Bea');
+  day.staff.push(ana, bea);
+
+  const create = Booking.create;
+  Booking.create = async (fields) => {
+    Booking.create = create;
+    day.bookings.push(booking('10:00', { staffId: fields.staffId }));
+    day.version++;
+    return create(fields);
+  };
+
+  const result = await claimBookingSlot(request('10:00'));
+
+  assert.ok(result.booking);
+  assert.strictEqual(day.deleted.length, 1);
+  assert.notStrictEqual(String(day.bookings[0].staffId), String(result.booking.staffId));
+});
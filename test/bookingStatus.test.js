@@ -0,0 +1,68 @@
+// test/bookingStatus.test.js
+//
+// Which status changes a booking may make, and the checks on top of the
+// transition table: a lapsed hold can't be confirmed and a visit can't be
+// completed or missed before it starts.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { TRANSITIONS, canTransition, assertTransition } = require('../utils/bookingStatus');
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+const dayFromNow = (days) => {
+  const date = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+test('bookings move pending -> confirmed -> completed', () => {
+  assert.ok(canTransition('pending', 'confirmed'));
+  assert.ok(canTransition('confirmed', 'completed'));
+  assert.strictEqual(canTransition('pending', 'completed'), false);
+});
+
+test('pending and confirmed bookings can be cancelled; only confirmed ones can be missed', () => {
+  assert.ok(canTransition('pending', 'cancelled'));
+  assert.ok(canTransition('confirmed', 'cancelled'));
+  assert.ok(canTransition('confirmed', 'no_show'));
+  assert.strictEqual(canTransition('pending', 'no_show'), false);
+});
+
+test('completed, cancelled and no_show are final', () => {
+  for (const from of ['completed', 'cancelled', 'no_show']) {
+    for (const to of STATUSES) {
+      assert.strictEqual(canTransition(from, to), false, `${from} -> ${to}`);
+    }
+  }
+});
+
+test('unknown statuses never transition', () => {
+  assert.strictEqual(canTransition('archived', 'confirmed'), false);
+  assert.strictEqual(canTransition('pending', 'archived'), false);
+});
+
+test('a disallowed change is a 400', () => {
+  assert.throws(
+    () => assertTransition({ status: 'cancelled' }, 'confirmed'),
+    { statusCode: 400, message: 'Cannot change a cancelled booking to confirmed' }
+  );
+});
+
+test('a lapsed hold cannot be confirmed', () => {
+  const hold = { status: 'pending', holdExpiresAt: new Date(Date.now() - 1000) };
+  assert.throws(() => assertTransition(hold, 'confirmed'), { statusCode: 409 });
+
+  assert.doesNotThrow(() => assertTransition({ ...hold, holdExpiresAt: new Date(Date.now() + 60000) }, 'confirmed'));
+});
+
+test('a visit cannot be completed or missed before its appointment', () => {
+  const upcoming = { status: 'confirmed', date: dayFromNow(2), time: '10:00' };
+  assert.throws(() => assertTransition(upcoming, 'completed'), { statusCode: 400 });
+  assert.throws(() => assertTransition(upcoming, 'no_show'), { statusCode: 400 });
+
+  const past = { status: 'confirmed', date: dayFromNow(-2), time: '10:00' };
+  assert.doesNotThrow(() => assertTransition(past, 'completed'));
+  assert.doesNotThrow(() => assertTransition(past, 'no_show'));
+});
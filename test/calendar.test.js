@@ -0,0 +1,101 @@
+// test/calendar.test.js
+//
+// The .ics files attached to booking emails: times in UTC from the salon's
+// wall clock, a UID that stays the same across changes, and RFC 5545
+// escaping and line folding.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.SALON_TIMEZONE = 'Asia/Kolkata';
+delete process.env.SALON_NAME;
+delete process.env.SALON_ADDRESS;
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { bookingUid, buildCalendar, calendarAttachment } = require('../utils/calendar');
+
+const booking = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId('65a1b2c3d4e5f60718293a4b'),
+  name: 'Priya',
+  email: 'priya@example.com',
+  service: 'Haircut',
+  date: new Date('2030-01-07T00:00:00.000Z'),
+  time: '10:30',
+  timeSlot: '10:30',
+  duration: 45,
+  rescheduleHistory: [],
+  ...fields
+});
+
+const lines = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+const property = (ics, name) => lines(ics).find(line => line.startsWith(`${name}:`) || line.startsWith(`${name};`));
+
+test('events start and end in UTC, converted from salon time', () => {
+  const ics = buildCalendar([booking()]);
+
+  assert.strictEqual(property(ics, 'DTSTART'), 'DTSTART:20300107T050000Z');
+  assert.strictEqual(property(ics, 'DTEND'), 'DTEND:20300107T054500Z');
+});
+
+test('a new booking is a confirmed request with a manage link', () => {
+  const ics = buildCalendar([booking()]);
+
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.strictEqual(property(ics, 'METHOD'), 'METHOD:REQUEST');
+  assert.strictEqual(property(ics, 'STATUS'), 'STATUS:CONFIRMED');
+  assert.strictEqual(property(ics, 'UID'), `UID:${bookingUid(booking())}`);
+  assert.strictEqual(property(ics, 'SEQUENCE'), 'SEQUENCE:0');
+  assert.match(property(ics, 'DESCRIPTION'), /\/manage/);
+  assert.strictEqual(property(ics, 'ATTENDEE'), 'ATTENDEE;CN="Priya";ROLE=REQ-PARTICIPANT:mailto:priya@example.com');
+});
+
+test('each reschedule raises the sequence and keeps the UID', () => {
+  const moved = booking({ rescheduleHistory: [{}, {}] });
+  const ics = buildCalendar([moved]);
+
+  assert.strictEqual(property(ics, 'SEQUENCE'), 'SEQUENCE:2');
+  assert.strictEqual(property(ics, 'UID'), `UID:${bookingUid(booking())}`);
+});
+
+test('a cancellation cancels the same event with a higher sequence', () => {
+  const ics = buildCalendar([booking({ rescheduleHistory: [{}] })], { cancelled: true });
+
+  assert.strictEqual(property(ics, 'METHOD'), 'METHOD:CANCEL');
+  assert.strictEqual(property(ics, 'STATUS'), 'STATUS:CANCELLED');
+  assert.strictEqual(property(ics, 'SEQUENCE'), 'SEQUENCE:2');
+  assert.strictEqual(property(ics, 'DESCRIPTION'), undefined);
+});
+
+test('one calendar holds an event per booking', () => {
+  const second = booking({ _id: new mongoose.Types.ObjectId(), time: '12:00', timeSlot: '12:00' });
+  const ics = buildCalendar([booking(), second]);
+
+  assert.strictEqual(lines(ics).filter(line => line === 'BEGIN:VEVENT').length, 2);
+});
+
+test('text is escaped and quotes are kept out of parameters', () => {
+  const ics = buildCalendar([booking({ service: 'Cut, colour; style', name: 'Priya "P" Shah' })]);
+
+  assert.strictEqual(property(ics, 'SUMMARY'), 'SUMMARY:Cut\\, colour\\; style - Luxe Beauty Studio');
+  assert.match(property(ics, 'ATTENDEE'), /^ATTENDEE;CN="Priya 'P' Shah";/);
+});
+
+test('long lines are folded at 75 octets', () => {
+  const ics = buildCalendar([booking({ service: 'Bridal makeup with hair styling, draping and a trial session the week before' })]);
+
+  for (const line of ics.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+  }
+  assert.match(property(ics, 'SUMMARY'), /the week before - Luxe Beauty Studio$/);
+});
+
+test('the attachment is named and typed for the method', () => {
+  assert.strictEqual(calendarAttachment([booking()]).filename, 'appointment.ics');
+
+  const cancellation = calendarAttachment([booking()], { cancelled: true });
+  assert.strictEqual(cancellation.filename, 'cancellation.ics');
+  assert.strictEqual(cancellation.contentType, 'text/calendar; charset=utf-8; method=CANCEL');
+});
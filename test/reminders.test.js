@@ -0,0 +1,47 @@
+// test/reminders.test.js
+//
+// Parsing REMINDER_OFFSETS and choosing which reminder is due. Uses the
+// default offsets (24h and 2h).
+
+delete process.env.REMINDER_OFFSETS;
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { REMINDER_OFFSETS, parseOffsets, formatOffset, dueOffset } = require('../utils/reminders');
+
+const HOUR = 60 * 60 * 1000;
+const APPOINTMENT = new Date('2030-01-07T10:00:00.000Z');
+
+const hoursBefore = (hours) => new Date(APPOINTMENT.getTime() - hours * HOUR);
+
+const bookedAt = (createdAt) => ({ createdAt });
+
+test('offsets are parsed into minutes, largest first, without duplicates', () => {
+  assert.deepStrictEqual(parseOffsets('2h, 1d,90m,24h'), [1440, 120, 90]);
+  assert.deepStrictEqual(parseOffsets('soon,0h,15x'), []);
+  assert.deepStrictEqual(REMINDER_OFFSETS, [1440, 120]);
+});
+
+test('offsets are labelled in hours when they are whole hours', () => {
+  assert.strictEqual(formatOffset(120), '2h');
+  assert.strictEqual(formatOffset(90), '90m');
+});
+
+test('nothing is due before the first reminder time', () => {
+  assert.strictEqual(dueOffset(bookedAt(hoursBefore(72)), APPOINTMENT, hoursBefore(25)), undefined);
+});
+
+test('the day-before reminder is due once its time has passed', () => {
+  assert.strictEqual(dueOffset(bookedAt(hoursBefore(72)), APPOINTMENT, hoursBefore(3)), 1440);
+});
+
+test('when several are due only the closest to the appointment is sent', () => {
+  assert.strictEqual(dueOffset(bookedAt(hoursBefore(72)), APPOINTMENT, hoursBefore(1)), 120);
+});
+
+test('a reminder that fell due before the booking was made is skipped', () => {
+  assert.strictEqual(dueOffset(bookedAt(hoursBefore(5)), APPOINTMENT, hoursBefore(3)), undefined);
+  assert.strictEqual(dueOffset(bookedAt(hoursBefore(5)), APPOINTMENT, hoursBefore(1)), 120);
+  assert.strictEqual(dueOffset(bookedAt(hoursBefore(1.5)), APPOINTMENT, hoursBefore(1)), undefined);
+});
@@ -0,0 +1,96 @@
+// test/routes.auth.test.js
+//
+// Every route guarded by authorize() must turn away requests without a token
+// (401) and from roles that lack its permission (403). Routes are found by
+// walking the routers, so a newly added protected route is covered too.
+// Neither check reaches a controller, so no database is needed: the session
+// lookup in the auth middleware is the only query, and it's stubbed here.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+// Fail fast instead of waiting for a connection if a request does reach the database
+mongoose.set('bufferCommands', false);
+
+const Session = require('../models/Session');
+const { ROLES, hasPermission } = require('../config/permissions');
+const app = require('../server');
+
+// Mount points, as in server.js
+const MOUNTS = {
+  '/api/services': require('../routes/services'),
+  '/api/bookings': require('../routes/bookings'),
+  '/api/reviews': require('../routes/reviews'),
+  '/api/auth': require('../routes/auth'),
+  '/api/timeslots': require('../routes/timeslots'),
+  '/api/staff': require('../routes/staff'),
+  '/api/schedule': require('../routes/schedule'),
+  '/api/availability': require('../routes/availability'),
+  '/api/waitlist': require('../routes/waitlist'),
+  '/api/admin': require('../routes/admin'),
+  '/api/webhooks': require('../routes/webhooks')
+};
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+const tokenFor = (role) => jwt.sign({ id: objectId(), role, sid: objectId() }, process.env.JWT_SECRET);
+
+/**
+ * List the routes that require a permission
+ * @returns {Array<{ method: string, path: string, permission: string }>}
+ */
+const protectedRoutes = () => Object.entries(MOUNTS).flatMap(([prefix, router]) =>
+  router.stack
+    .filter(layer => layer.route)
+    .flatMap(({ route }) => {
+      const check = route.stack.find(layer => layer.handle.permission);
+      if (!check) return [];
+
+      const path = prefix + route.path.replace(/:\w+/g, objectId());
+      return Object.keys(route.methods).map(method => ({ method, path, permission: check.handle.permission }));
+    })
+);
+
+before(() => {
+  Session.exists = async () => ({ _id: objectId() });
+});
+
+test('the routers walked are the ones the app mounts', () => {
+  const mounted = app._router.stack.filter(layer => layer.name === 'router');
+
+  for (const [prefix, router] of Object.entries(MOUNTS)) {
+    const layer = mounted.find(l => l.handle === router);
+    assert.ok(layer, `${prefix} is not mounted`);
+    assert.ok(layer.regexp.test(prefix), `${prefix} is mounted at a different path`);
+  }
+});
+
+test('protected routes are found', () => {
+  assert.ok(protectedRoutes().length >= 30);
+});
+
+for (const { method, path, permission } of protectedRoutes()) {
+  const label = `${method.toUpperCase()} ${path.replace(/[0-9a-f]{24}/g, ':id')}`;
+
+  test(`${label} rejects requests without a token`, async () => {
+    const res = await request(app)[method](path);
+    assert.strictEqual(res.status, 401);
+  });
+
+  test(`${label} rejects a customer`, async () => {
+    const res = await request(app)[method](path).set('Authorization', `Bearer ${tokenFor('customer')}`);
+    assert.strictEqual(res.status, 403);
+  });
+
+  for (const role of ROLES.filter(r => r !== 'customer' && !hasPermission(r, permission))) {
+    test(`${label} rejects ${role} (needs ${permission})`, async () => {
+      const res = await request(app)[method](path).set('Authorization', `Bearer ${tokenFor(role)}`);
+      assert.strictEqual(res.status, 403);
+    });
+  }
+}
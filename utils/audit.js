@@ -0,0 +1,82 @@
+// utils/audit.js
+
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the audit log
+const SECRET_FIELDS = ['password', 'refreshTokenHash', 'codeHash', 'claimTokenHash', 'tokenHash', 'reviewTokenHash', 'holdTokenHash', '__v'];
+
+/**
+ * Plain, JSON-safe copy of a document for the audit log, without secrets
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Object|undefined}
+ */
+const snapshot = (doc) => {
+  if (!doc) return undefined;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  const copy = JSON.parse(JSON.stringify(plain));
+  for (const field of SECRET_FIELDS) {
+    delete copy[field];
+  }
+  return copy;
+};
+
+/**
+ * Top-level fields that differ between two snapshots
+ * @returns {Object} { field: { from, to } }
+ */
+const diffSnapshots = (before = {}, after = {}) => {
+  const diff = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  fields.delete('updatedAt');
+
+  for (const field of fields) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      diff[field] = { from: before[field], to: after[field] };
+    }
+  }
+  return diff;
+};
+
+/**
+ * Whether the request was made by salon staff rather than a customer
+ * (used where customers and staff share an endpoint)
+ * @param {Object} req
+ * @returns {boolean}
+ */
+const isStaffRequest = (req) =>
+  Boolean(req.user && !req.user.bookingId && req.user.role && req.user.role !== 'customer');
+
+/**
+ * Append an entry to the audit log
+ * Never throws: a logging failure must not undo or fail the change itself.
+ * @param {Object} req - Express request (actor, IP and user agent come from it)
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. booking.delete
+ * @param {string} entry.entityType - e.g. booking
+ * @param {string} [entry.entityId]
+ * @param {Object} [entry.before] - Document before the change
+ * @param {Object} [entry.after] - Document after the change
+ * @param {Object} [entry.metadata] - Anything else worth keeping
+ */
+const recordAudit = async (req, { action, entityType, entityId, before, after, metadata }) => {
+  try {
+    const beforeSnapshot = snapshot(before);
+    const afterSnapshot = snapshot(after);
+
+    await AuditLog.create({
+      actor: { userId: req.user?.id, role: req.user?.role },
+      action,
+      entity: { type: entityType, id: entityId ? String(entityId) : undefined },
+      before: beforeSnapshot,
+      after: afterSnapshot,
+      diff: beforeSnapshot && afterSnapshot ? diffSnapshots(beforeSnapshot, afterSnapshot) : undefined,
+      metadata,
+      ip: req.ip,
+      userAgent: req.get('user-agent')?.slice(0, 500)
+    });
+  } catch (error) {
+    console.error('❌ Audit log error:', error.message);
+  }
+};
+
+module.exports = { snapshot, diffSnapshots, isStaffRequest, recordAudit };
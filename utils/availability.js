@@ -0,0 +1,492 @@
+// utils/availability.js
+
+const Booking = require('../models/Booking');
+const BookingDay = require('../models/BookingDay');
+const Service = require('../models/Service');
+const Staff = require('../models/Staff');
+const TimeSlot = require('../models/TimeSlot');
+const { toMinutes, toTime, getDayRange, overlaps } = require('./time');
+const { getDaySchedule, isWithinSchedule, generateStartTimes } = require('./schedule');
+
+// Fallbacks used when a booking has no linked service or predates durations
+const DEFAULT_DURATION = 60; // minutes
+const DEFAULT_BUFFER = parseInt(process.env.BOOKING_BUFFER_MINUTES, 10) || 0;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Query filter for bookings that currently occupy time
+ * Pending holds stop counting as soon as they expire, even before the sweeper runs.
+ * A no-show leaves the rest of their slot free.
+ * @returns {Object} Mongo filter
+ */
+const activeBookingFilter = () => ({
+  status: { $nin: ['cancelled', 'no_show'] },
+  $or: [
+    { holdExpiresAt: null },
+    { holdExpiresAt: { $gt: new Date() } }
+  ]
+});
+
+/**
+ * Interval (in minutes since midnight) a booking occupies, including cleanup time
+ * @param {Object} booking - Booking document or lean object
+ * @returns {{ start: number, end: number }}
+ */
+const getBookingInterval = (booking) => {
+  const start = toMinutes(booking.timeSlot || booking.time);
+  const duration = booking.duration || DEFAULT_DURATION;
+  const bufferTime = booking.bufferTime || 0;
+  return { start, end: start + duration + bufferTime };
+};
+
+/**
+ * Find the first existing booking that overlaps a requested interval
+ * @param {Array} bookings - Active bookings on the same day
+ * @param {string} time - Requested start time "HH:MM"
+ * @param {number} length - Minutes the new booking occupies (duration + buffer)
+ * @returns {Object|null} The conflicting booking, if any
+ */
+const findConflict = (bookings, time, length) => {
+  const start = toMinutes(time);
+  const requested = { start, end: start + length };
+  return bookings.find(b => overlaps(getBookingInterval(b), requested)) || null;
+};
+
+/**
+ * Check whether a stylist can perform every service category in a booking
+ * @param {Object} staff - Staff document
+ * @param {string[]} [categories] - Service categories; any stylist qualifies when empty
+ * @returns {boolean}
+ */
+const canPerform = (staff, categories = []) =>
+  categories.every(category => staff.skills.includes(category));
+
+/**
+ * Check whether a stylist is on shift for the whole of a requested interval
+ * @param {Object} staff - Staff document
+ * @param {Date} date - Booking date (UTC midnight)
+ * @param {string} time - Requested start time "HH:MM"
+ * @param {number} length - Minutes the booking occupies
+ * @returns {boolean}
+ */
+const isStaffWorking = (staff, date, time, length) => {
+  if (!staff.workingHours || staff.workingHours.length === 0) return true;
+
+  const start = toMinutes(time);
+  const day = new Date(date).getUTCDay();
+
+  return staff.workingHours.some(shift =>
+    shift.day === day &&
+    toMinutes(shift.start) <= start &&
+    start + length <= toMinutes(shift.end)
+  );
+};
+
+/**
+ * Split a day's bookings into one bookable resource per stylist
+ * Bookings without a stylist (made before staff existed) are placed on the
+ * first stylist free at that time so they still take up a chair.
+ * With no staff configured the salon is treated as a single chair.
+ * @param {Array} staffList - Active Staff documents
+ * @param {Array} bookings - Active bookings on the same day
+ * @returns {Array<{ staff: Object|null, bookings: Array }>}
+ */
+const buildResources = (staffList, bookings) => {
+  if (!staffList.length) {
+    return [{ staff: null, bookings: [...bookings] }];
+  }
+
+  const resources = staffList.map(staff => ({
+    staff,
+    bookings: bookings.filter(b => b.staffId && String(b.staffId._id || b.staffId) === String(staff._id))
+  }));
+
+  bookings
+    .filter(b => !b.staffId)
+    .forEach(booking => {
+      const interval = getBookingInterval(booking);
+      const resource = resources.find(r =>
+        !r.bookings.some(b => overlaps(getBookingInterval(b), interval))
+      ) || resources[0];
+      resource.bookings.push(booking);
+    });
+
+  return resources;
+};
+
+/**
+ * Check whether a resource can take a booking at the requested time
+ */
+const isResourceFree = (resource, date, time, length) =>
+  (!resource.staff || isStaffWorking(resource.staff, date, time, length)) &&
+  !findConflict(resource.bookings, time, length);
+
+/**
+ * Pick the least busy resource that is free for the requested interval
+ * @param {Array} resources - From buildResources
+ * @param {Date} date - Booking date
+ * @param {string} time - Requested start time "HH:MM"
+ * @param {number} length - Minutes the booking occupies
+ * @returns {Object|null} The chosen resource
+ */
+const findFreeResource = (resources, date, time, length) => {
+  const free = resources
+    .filter(r => isResourceFree(r, date, time, length))
+    .sort((a, b) => a.bookings.length - b.bookings.length);
+  return free[0] || null;
+};
+
+/**
+ * Suggest the next start times where any of the resources is free
+ * @param {Object} daySchedule - From getDaySchedule
+ * @param {Array} resources - From buildResources
+ * @param {number} length - Minutes the new booking occupies (duration + buffer)
+ * @param {Object} [options]
+ * @param {string} [options.after] - Only suggest times after this "HH:MM"
+ * @param {number} [options.limit=3] - Maximum number of suggestions
+ * @returns {string[]} Start times in "HH:MM"
+ */
+const suggestStartTimes = (daySchedule, resources, length, { after, limit = 3 } = {}) => {
+  const from = after ? toMinutes(after) + 1 : 0;
+  const date = new Date(daySchedule.date);
+
+  return generateStartTimes(daySchedule, length)
+    .filter(time => toMinutes(time) >= from)
+    .filter(time => findFreeResource(resources, date, time, length))
+    .slice(0, limit);
+};
+
+/**
+ * Work out how long a booking occupies the salon from its linked services
+ * Several services are done back to back in the order given, followed by the
+ * longest of their cleanup times. A single service falls back to a lookup by
+ * name, then to DEFAULT_DURATION.
+ * @param {Object} params
+ * @param {string[]} [params.serviceIds] - Ordered services for a multi-service appointment
+ * @param {string} [params.serviceId]
+ * @param {string} [params.service] - Service name
+ * @returns {Promise<{ services: Object[], service: Object|null, categories: string[],
+ *   duration: number, bufferTime: number, price: number|null }>}
+ * @throws {Error} With statusCode 400 when a service doesn't exist
+ */
+const getServiceTiming = async ({ serviceIds, serviceId, service }) => {
+  let services = [];
+
+  if (serviceIds?.length) {
+    const found = await Service.find({ _id: { $in: serviceIds } });
+    services = serviceIds.map(id => found.find(s => String(s._id) === String(id)));
+    if (services.some(s => !s)) {
+      throw badRequest('Service not found');
+    }
+  } else if (serviceId) {
+    const serviceDoc = await Service.findById(serviceId);
+    if (!serviceDoc) {
+      throw badRequest('Service not found');
+    }
+    services = [serviceDoc];
+  } else if (service) {
+    const serviceDoc = await Service.findOne({ name: service.trim() });
+    services = serviceDoc ? [serviceDoc] : [];
+  }
+
+  if (!services.length) {
+    return {
+      services,
+      service: null,
+      categories: [],
+      duration: DEFAULT_DURATION,
+      bufferTime: DEFAULT_BUFFER,
+      price: null
+    };
+  }
+
+  return {
+    services,
+    service: services[0],
+    categories: [...new Set(services.map(s => s.category))],
+    duration: services.reduce((total, s) => total + s.duration, 0),
+    bufferTime: Math.max(...services.map(s => s.bufferTime ?? DEFAULT_BUFFER)),
+    price: services.reduce((total, s) => total + s.price, 0)
+  };
+};
+
+/**
+ * Check whether a raw TimeSlot entry has been blocked by an admin
+ * Entries saved before the blocked flag existed were blocked by marking them
+ * unavailable without a booking.
+ * @param {Object} slot - Lean TimeSlot slot entry
+ * @returns {boolean}
+ */
+const isBlockedSlot = (slot) =>
+  slot.blocked === true || (slot.blocked === undefined && slot.available === false && !slot.bookedBy);
+
+/**
+ * Get the periods an admin has blocked on a date
+ * Each blocked slot covers one slot interval from its start time.
+ * @param {Date} date
+ * @param {number} slotInterval - Minutes per slot
+ * @returns {Promise<Array<{ start: string, end: string }>>}
+ */
+const getBlocks = async (date, slotInterval) => {
+  const { startOfDay, endOfDay } = getDayRange(date);
+  const slotDoc = await TimeSlot.findOne({ date: { $gte: startOfDay, $lte: endOfDay } }).lean();
+
+  return (slotDoc?.slots || [])
+    .filter(isBlockedSlot)
+    .filter(slot => /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(slot.time))
+    .map(slot => ({ start: slot.time, end: toTime(toMinutes(slot.time) + slotInterval) }));
+};
+
+/**
+ * Load a day's opening hours and active bookings grouped per stylist
+ * @param {Date} date - Booking date
+ * @param {Object} [options]
+ * @param {string} [options.excludeBookingId] - Ignore this booking (e.g. when moving it)
+ * @returns {Promise<{ daySchedule: Object, resources: Array }>}
+ */
+const loadDayResources = async (date, { excludeBookingId } = {}) => {
+  const { startOfDay, endOfDay } = getDayRange(date);
+  const query = {
+    ...activeBookingFilter(),
+    date: { $gte: startOfDay, $lte: endOfDay }
+  };
+  if (excludeBookingId) {
+    query._id = { $ne: excludeBookingId };
+  }
+
+  const [daySchedule, bookings, staffList] = await Promise.all([
+    getDaySchedule(date),
+    Booking.find(query).select('time timeSlot duration bufferTime staffId'),
+    Staff.find({ active: true }).sort({ name: 1 })
+  ]);
+
+  daySchedule.blocks = await getBlocks(date, daySchedule.slotInterval);
+
+  return { daySchedule, resources: buildResources(staffList, bookings) };
+};
+
+/**
+ * Narrow resources down to the stylists who may take a booking
+ * @param {Array} resources - From buildResources
+ * @param {Object} params
+ * @param {string[]} [params.categories] - Service categories the stylist must be skilled in
+ * @param {string} [params.staffId] - Stylist chosen by the customer
+ * @returns {Array} Candidate resources
+ * @throws {Error} With statusCode 400 when the chosen stylist can't do the service
+ */
+const selectCandidates = (resources, { categories, staffId } = {}) => {
+  if (staffId) {
+    const chosen = resources.find(r => r.staff && String(r.staff._id) === String(staffId));
+    if (!chosen) {
+      throw badRequest('Selected stylist not found');
+    }
+    if (!canPerform(chosen.staff, categories)) {
+      throw badRequest(`${chosen.staff.name} does not offer this service`);
+    }
+    return [chosen];
+  }
+
+  const candidates = resources.filter(r => !r.staff || canPerform(r.staff, categories));
+  if (!candidates.length) {
+    throw badRequest('No stylist currently offers this service');
+  }
+  return candidates;
+};
+
+/**
+ * Find a stylist who can take a booking at the requested date and time
+ * @param {Object} params
+ * @param {Date} params.date - Booking date
+ * @param {string} params.time - Requested start time "HH:MM"
+ * @param {number} params.length - Minutes the booking occupies (duration + buffer)
+ * @param {string[]} [params.categories] - Service categories
+ * @param {string} [params.staffId] - Stylist chosen by the customer
+ * @param {string} [params.excludeBookingId] - Ignore this booking's own interval
+ * @returns {Promise<{ resource: Object|null, suggestedTimes: string[] }>}
+ *   resource is null when nobody is free; suggestedTimes then lists alternatives
+ * @throws {Error} With statusCode 400 when the salon is closed or the time is outside opening hours
+ */
+const findBookingSlot = async ({ date, time, length, categories, staffId, excludeBookingId }) => {
+  const { daySchedule, resources } = await loadDayResources(date, { excludeBookingId });
+
+  if (daySchedule.closed) {
+    throw badRequest(daySchedule.reason
+      ? `The salon is closed on this date (${daySchedule.reason})`
+      : 'The salon is closed on this date');
+  }
+
+  const candidates = selectCandidates(resources, { categories, staffId });
+  const resource = isWithinSchedule(daySchedule, time, length)
+    ? findFreeResource(candidates, date, time, length)
+    : null;
+
+  return {
+    resource,
+    suggestedTimes: resource ? [] : suggestStartTimes(daySchedule, candidates, length, { after: time })
+  };
+};
+
+/**
+ * Read a day's booking version, starting the counter if it's the first booking
+ * @param {Date} day - UTC midnight
+ * @returns {Promise<number>}
+ */
+const readDayVersion = async (day) => {
+  try {
+    const bookingDay = await BookingDay.findOneAndUpdate(
+      { date: day },
+      { $setOnInsert: { version: 0 } },
+      { upsert: true, new: true }
+    );
+    return bookingDay.version;
+  } catch (error) {
+    // Another request started the counter at the same moment
+    if (error.code === 11000) return (await BookingDay.findOne({ date: day })).version;
+    throw error;
+  }
+};
+
+/**
+ * Move a day's booking version on, if it's still the one that was read
+ * @param {Date} day - UTC midnight
+ * @param {number} version
+ * @returns {Promise<boolean>} false when another booking change got in first
+ */
+const bumpDayVersion = async (day, version) => {
+  const { modifiedCount } = await BookingDay.updateOne({ date: day, version }, { $inc: { version: 1 } });
+  return modifiedCount === 1;
+};
+
+/**
+ * Find a free stylist and write a booking into their slot
+ * Two requests can both see a slot as free. Each reads the day's version
+ * before looking, writes, then moves the version on only if it hasn't
+ * changed; the one that finds it changed undoes its write and looks again,
+ * now seeing the other's booking. Bookings without a stylist are placed as
+ * in buildResources, so they're taken into account too.
+ * @param {Object} slot - { date, time, length, categories, staffId, excludeBookingId },
+ *   as for findBookingSlot
+ * @param {Object} steps
+ * @param {Function} steps.write - (resource) => saved Booking
+ * @param {Function} steps.undo - (booking) => reverses the write
+ * @returns {Promise<{ booking: Object|null, resource: Object|null, suggestedTimes: string[] }>}
+ */
+const claimSlot = async (slot, { write, undo }) => {
+  const { startOfDay } = getDayRange(slot.date);
+  let lastSuggestions = [];
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const version = await readDayVersion(startOfDay);
+    const { resource, suggestedTimes } = await findBookingSlot(slot);
+
+    if (!resource) {
+      return { booking: null, resource: null, suggestedTimes };
+    }
+
+    const booking = await write(resource);
+
+    if (await bumpDayVersion(startOfDay, version)) {
+      return { booking, resource, suggestedTimes: [] };
+    }
+
+    await undo(booking);
+    lastSuggestions = suggestedTimes;
+  }
+
+  return { booking: null, resource: null, suggestedTimes: lastSuggestions };
+};
+
+/**
+ * Find a free stylist and save a new booking against them
+ * @param {Object} bookingData - Booking fields (date, time, duration, bufferTime, ...)
+ * @param {Object} params
+ * @param {string[]} [params.categories] - Service categories
+ * @param {string} [params.staffId] - Stylist chosen by the customer
+ * @returns {Promise<{ booking: Object|null, resource: Object|null, suggestedTimes: string[] }>}
+ */
+const claimBookingSlot = (bookingData, { categories, staffId } = {}) => claimSlot(
+  {
+    date: bookingData.date,
+    time: bookingData.time,
+    length: bookingData.duration + bookingData.bufferTime,
+    categories,
+    staffId
+  },
+  {
+    write: (resource) => Booking.create({ ...bookingData, staffId: resource.staff?._id }),
+    undo: (booking) => Booking.deleteOne({ _id: booking._id })
+  }
+);
+
+/**
+ * Compute bookable start times for a date from the schedule, admin blocks
+ * and existing bookings. This is the single answer to "when can I book?".
+ * @param {Object} params
+ * @param {Date} params.date
+ * @param {string[]} [params.serviceIds] - Services for a multi-service appointment
+ * @param {string} [params.serviceId] - Use this service's duration and required skill
+ * @param {string} [params.staffId] - Only consider this stylist
+ * @returns {Promise<Object>} { date, closed, reason, duration, bufferTime,
+ *   availableTimes, bookedSlots, staff: [{ id, name, bookedSlots, availableTimes }] }
+ */
+const getAvailability = async ({ date, serviceIds, serviceId, staffId }) => {
+  const timing = await getServiceTiming({ serviceIds, serviceId });
+  const length = timing.duration + timing.bufferTime;
+
+  const { daySchedule, resources } = await loadDayResources(date);
+  const candidates = selectCandidates(resources, { categories: timing.categories, staffId });
+  const startTimes = generateStartTimes(daySchedule, length);
+
+  const bookedSlots = resources
+    .flatMap(r => r.bookings)
+    .map(b => b.timeSlot || b.time)
+    .filter(slot => slot);
+
+  return {
+    date: daySchedule.date,
+    closed: daySchedule.closed,
+    reason: daySchedule.reason,
+    duration: timing.duration,
+    bufferTime: timing.bufferTime,
+    // A start time is available if at least one qualified stylist is free
+    availableTimes: startTimes.filter(time => findFreeResource(candidates, date, time, length)),
+    bookedSlots: [...new Set(bookedSlots)].sort(),
+    // Per-stylist view (a single unnamed entry when no staff are configured)
+    staff: candidates.map(r => ({
+      id: r.staff?._id || null,
+      name: r.staff?.name || null,
+      bookedSlots: r.bookings.map(b => b.timeSlot || b.time),
+      availableTimes: startTimes.filter(time => isResourceFree(r, date, time, length))
+    }))
+  };
+};
+
+module.exports = {
+  DEFAULT_DURATION,
+  DEFAULT_BUFFER,
+  activeBookingFilter,
+  getBookingInterval,
+  findConflict,
+  canPerform,
+  isStaffWorking,
+  buildResources,
+  isResourceFree,
+  findFreeResource,
+  suggestStartTimes,
+  getServiceTiming,
+  isBlockedSlot,
+  getBlocks,
+  loadDayResources,
+  selectCandidates,
+  findBookingSlot,
+  readDayVersion,
+  bumpDayVersion,
+  claimSlot,
+  claimBookingSlot,
+  getAvailability
+};
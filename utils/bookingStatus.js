@@ -0,0 +1,115 @@
+// utils/bookingStatus.js
+
+const Booking = require('../models/Booking');
+const { toSalonInstant } = require('./time');
+
+/**
+ * Allowed booking status changes
+ * pending → confirmed → completed, with cancelled and no_show as the other
+ * ways out. completed, cancelled and no_show are final: a cancelled booking
+ * has given up its slot and has to be booked again.
+ */
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['completed', 'no_show', 'cancelled'],
+  completed: [],
+  cancelled: [],
+  no_show: []
+};
+
+const statusError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Check whether a booking may move from one status to another
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Build a status history entry
+ * @param {string} from - Previous status
+ * @param {string} to - New status
+ * @param {Object} [context]
+ * @param {string} [context.actor] - Who made the change (a staff role, customer or system)
+ * @param {string} [context.actorId] - User who made the change, if signed in
+ * @param {string} [context.reason]
+ * @returns {Object}
+ */
+const statusEntry = (from, to, { actor = 'system', actorId, reason } = {}) => ({
+  from,
+  to,
+  actor,
+  actorId,
+  reason: reason?.trim() || undefined,
+  timestamp: new Date()
+});
+
+/**
+ * Check a status change against the allowed transitions and its preconditions
+ * @param {Object} booking - Booking document
+ * @param {string} to - Requested status
+ * @throws {Error} With statusCode 400 for a disallowed change, 409 for a lapsed hold
+ */
+const assertTransition = (booking, to) => {
+  const from = booking.status;
+
+  if (!canTransition(from, to)) {
+    throw statusError(`Cannot change a ${from} booking to ${to}`);
+  }
+
+  // A lapsed hold no longer owns its slot, so it can't simply be confirmed
+  if (to === 'confirmed' && booking.holdExpiresAt && booking.holdExpiresAt <= new Date()) {
+    throw statusError('This hold has expired. Please book the slot again.', 409);
+  }
+
+  if (['completed', 'no_show'].includes(to)) {
+    const start = toSalonInstant(booking.date, booking.timeSlot || booking.time);
+    if (start > new Date()) {
+      throw statusError(`Cannot mark a booking as ${to} before its appointment time`);
+    }
+  }
+};
+
+/**
+ * Move a booking to a new status and record the change in its history
+ * The update only applies if the status hasn't changed since the booking was read.
+ * @param {Object} booking - Booking document
+ * @param {string} to - New status
+ * @param {Object} [context] - actor, actorId, reason (see statusEntry)
+ * @param {Object} [set] - Other fields to update in the same write
+ * @returns {Promise<Object|null>} The updated booking, or null if it changed concurrently
+ * @throws {Error} With statusCode 400/409 when the change isn't allowed
+ */
+const transitionStatus = async (booking, to, context = {}, set = {}) => {
+  assertTransition(booking, to);
+
+  const update = {
+    $set: { ...set, status: to },
+    $push: { statusHistory: statusEntry(booking.status, to, context) }
+  };
+
+  // Confirming ends any checkout hold
+  if (to === 'confirmed') {
+    update.$unset = { holdExpiresAt: 1 };
+  }
+
+  return Booking.findOneAndUpdate(
+    { _id: booking._id, status: booking.status },
+    update,
+    { new: true }
+  );
+};
+
+module.exports = {
+  TRANSITIONS,
+  canTransition,
+  statusEntry,
+  assertTransition,
+  transitionStatus
+};
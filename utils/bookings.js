@@ -0,0 +1,241 @@
+// utils/bookings.js
+//
+// Booking operations shared across controllers
+
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const User = require('../models/User');
+const { hasPermission } = require('../config/permissions');
+const limits = require('../config/abuse');
+const { getServiceTiming, claimBookingSlot, activeBookingFilter } = require('./availability');
+const { syncTimeSlot } = require('./timeSlots');
+const { toMinutes, toTime } = require('./time');
+const { canTransition, statusEntry } = require('./bookingStatus');
+
+/**
+ * Format date for WhatsApp message
+ * Booking dates are stored as UTC midnight, so the UTC day is used whatever
+ * the server's time zone.
+ * @param {Date} date 
+ * @returns {string} Formatted date like "Wed Jan 28 2026"
+ */
+const formatDateForWhatsApp = (date) => {
+  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  
+  const dayName = days[date.getUTCDay()];
+  const monthName = months[date.getUTCMonth()];
+  const day = date.getUTCDate();
+  const year = date.getUTCFullYear();
+  
+  return `${dayName} ${monthName} ${day} ${year}`;
+};
+
+/**
+ * Rebuild the TimeSlot snapshot for a booking's day
+ * Availability is computed from bookings directly, so a failure here can't
+ * cause a double booking; it is logged and left for the repair routine.
+ * @param {Date} date
+ */
+const refreshTimeSlot = async (date) => {
+  try {
+    await syncTimeSlot(date);
+  } catch (timeSlotError) {
+    console.error('TimeSlot sync error:', timeSlotError.message);
+  }
+};
+
+/**
+ * Check availability and save a booking from validated request data
+ * @param {Object} value - Validated booking fields
+ * @param {Object} [overrides] - Extra fields to save (e.g. hold status, expiry and token hash)
+ * @returns {Promise<{ booking: Object|null, resource: Object|null, suggestedTimes: string[] }>}
+ * @throws {Error} With statusCode 400 for past dates, unknown services or closed days
+ */
+const placeBooking = async (value, overrides = {}) => {
+  const { name, phone, email, preferredChannel, language, service, serviceIds, serviceId, staffId, date, timeSlot, time, notes } = value;
+
+  // Handle both 'timeSlot' and 'time' field names
+  const selectedTime = timeSlot || time;
+
+  // Convert date string to Date object and normalize to start of day
+  const bookingDate = new Date(date);
+  bookingDate.setUTCHours(0, 0, 0, 0);
+
+  // Validate booking is not in the past
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  if (bookingDate < today) {
+    const error = new Error('Cannot book appointments in the past');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Work out how long the appointment occupies the salon
+  const timing = await getServiceTiming({ serviceIds, serviceId, service });
+
+  // Services run back to back from the requested start time
+  let offset = toMinutes(selectedTime);
+  const services = timing.services.map(s => {
+    const item = {
+      serviceId: s._id,
+      name: s.name,
+      category: s.category,
+      duration: s.duration,
+      price: s.price,
+      start: toTime(offset)
+    };
+    offset += s.duration;
+    return item;
+  });
+
+  // Save against a qualified stylist who is free for the whole interval
+  // (opening hours, breaks and admin blocks are checked here too)
+  return claimBookingSlot({
+    name: name.trim(),
+    phone,
+    email: email?.trim() || undefined,
+    preferredChannel,
+    language,
+    service: services.length > 1 || !service
+      ? services.map(s => s.name).join(' + ')
+      : service.trim(),
+    serviceId: serviceId || timing.service?._id,
+    services,
+    totalPrice: timing.price ?? undefined,
+    date: bookingDate,
+    timeSlot: selectedTime,
+    time: selectedTime,
+    duration: timing.duration,
+    bufferTime: timing.bufferTime,
+    notes: notes?.trim() || undefined,
+    status: 'confirmed', // Holds pass status: 'pending' in overrides
+    ...overrides
+  }, {
+    categories: timing.categories,
+    staffId
+  });
+};
+
+/**
+ * Cancel bookings and free their slots
+ * @param {Array} bookings - Booking documents
+ * @param {Object} [context] - actor, actorId, reason for the status history
+ * @returns {Promise<Array>} The bookings that were cancelled (ones that can't be cancelled are skipped)
+ */
+const cancelBookings = async (bookings, context = {}) => {
+  const cancelled = [];
+
+  for (const booking of bookings) {
+    if (!canTransition(booking.status, 'cancelled')) continue;
+    booking.statusHistory.push(statusEntry(booking.status, 'cancelled', context));
+    booking.status = 'cancelled';
+    await booking.save();
+    cancelled.push(booking);
+  }
+
+  // Make slots available again
+  const dates = [...new Set(cancelled.map(b => b.date.getTime()))];
+  for (const date of dates) {
+    await refreshTimeSlot(new Date(date));
+  }
+
+  return cancelled;
+};
+
+/**
+ * Count a phone number's upcoming bookings that still hold a slot
+ * A recurring series counts once, however many occurrences are left.
+ * @param {string} phone
+ * @returns {Promise<number>}
+ */
+const countUpcomingBookings = async (phone) => {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  const [result] = await Booking.aggregate([
+    {
+      $match: {
+        ...activeBookingFilter(),
+        status: { $in: ['pending', 'confirmed'] },
+        phone,
+        date: { $gte: today }
+      }
+    },
+    { $group: { _id: { $ifNull: ['$seriesId', '$_id'] } } },
+    { $count: 'count' }
+  ]);
+  return result?.count || 0;
+};
+
+/**
+ * Check a phone number stays within the cap on upcoming bookings
+ * @param {string} phone
+ * @returns {Promise<string|null>} Error message when the cap is reached
+ */
+const checkActiveBookingCap = async (phone) => {
+  const { maxActivePerPhone } = limits.bookings;
+  const upcoming = await countUpcomingBookings(phone);
+
+  if (upcoming >= maxActivePerPhone) {
+    return `You already have ${maxActivePerPhone} upcoming bookings. Please cancel one or contact us to book more.`;
+  }
+  return null;
+};
+
+/**
+ * Filter for the bookings that belong to a signed-in user: those made under
+ * their account, or as a guest with their verified phone number
+ * @param {Object} tokenUser - req.user
+ * @returns {Promise<Object>} Mongo filter
+ */
+const ownBookingsFilter = async (tokenUser) => {
+  const owners = [{ userId: tokenUser.id }];
+  const user = await User.findById(tokenUser.id).select('phone phoneVerified');
+  if (user?.phone && user.phoneVerified) {
+    owners.push({ phone: user.phone });
+  }
+  return { $or: owners };
+};
+
+/**
+ * Filter for the bookings a signed-in user may view or change
+ * Staff holding the permission reach any booking; everyone else only their own,
+ * and a manage-booking link only the booking it was issued for.
+ * @param {Object} tokenUser - req.user
+ * @param {string} [permission] - bookings:read or bookings:update
+ * @returns {Promise<Object>} Mongo filter
+ */
+const bookingAccessFilter = async (tokenUser, permission = 'bookings:update') => {
+  // Signed in through a manage-booking link: that booking only
+  if (tokenUser.bookingId) return { _id: tokenUser.bookingId };
+  return hasPermission(tokenUser.role, permission) ? {} : ownBookingsFilter(tokenUser);
+};
+
+/**
+ * Attach guest bookings and series made with a phone number to an account
+ * @param {Object} user - User document with a verified phone
+ * @returns {Promise<number>} Number of bookings linked
+ */
+const linkGuestBookings = async (user) => {
+  const { modifiedCount } = await Booking.updateMany(
+    { phone: user.phone, userId: null },
+    { $set: { userId: user._id } }
+  );
+  await BookingSeries.updateMany(
+    { phone: user.phone, userId: null },
+    { $set: { userId: user._id } }
+  );
+  return modifiedCount;
+};
+
+module.exports = {
+  formatDateForWhatsApp,
+  refreshTimeSlot,
+  placeBooking,
+  cancelBookings,
+  countUpcomingBookings,
+  checkActiveBookingCap,
+  ownBookingsFilter,
+  bookingAccessFilter,
+  linkGuestBookings
+};
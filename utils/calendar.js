@@ -0,0 +1,135 @@
+// utils/calendar.js
+//
+// iCalendar (RFC 5545) files for booking emails. Each booking is one VEVENT
+// with a UID derived from its ID, so a client that already has the event
+// replaces it when a reschedule or cancellation arrives (SEQUENCE rises
+// with every change). Times are written in UTC, converted from the salon's
+// wall clock, which avoids shipping VTIMEZONE definitions.
+
+const { toSalonInstant } = require('./time');
+const { getManageUrl } = require('./manageLinks');
+
+const UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'luxebeauty.studio';
+
+const salonName = () => process.env.SALON_NAME || 'Luxe Beauty Studio';
+
+// Address replies and calendar responses go to, taken from MAIL_FROM
+const organizerEmail = () => {
+  const from = process.env.MAIL_FROM || 'no-reply@luxebeauty.studio';
+  return (from.match(/<([^>]+)>/) || [null, from])[1].trim();
+};
+
+// 2026-01-28T05:30:00.000Z -> 20260128T053000Z
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// TEXT values escape backslashes, semicolons, commas and newlines
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Parameter values (CN=...) are quoted instead, and can't contain quotes
+const quoteParam = (value) => `"${String(value).replace(/"/g, "'")}"`;
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = chunks.length ? 74 : 75; // continuation lines start with a space
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Stable calendar UID for a booking
+ * @param {Object} booking
+ * @returns {string}
+ */
+const bookingUid = (booking) => `booking-${booking._id}@${UID_DOMAIN}`;
+
+/**
+ * Build the VEVENT lines for a booking
+ * @param {Object} booking - Booking document
+ * @param {boolean} cancelled
+ * @returns {Array<string>}
+ */
+const eventLines = (booking, cancelled) => {
+  const start = toSalonInstant(booking.date, booking.timeSlot || booking.time);
+  const end = new Date(start.getTime() + (booking.duration || 60) * 60 * 1000);
+  const sequence = (booking.rescheduleHistory?.length || 0) + (cancelled ? 1 : 0);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${bookingUid(booking)}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(`${booking.service} - ${salonName()}`)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    `ORGANIZER;CN=${quoteParam(salonName())}:mailto:${organizerEmail()}`
+  ];
+
+  if (booking.email) {
+    lines.push(`ATTENDEE;CN=${quoteParam(booking.name)};ROLE=REQ-PARTICIPANT:mailto:${booking.email}`);
+  }
+  if (process.env.SALON_ADDRESS) {
+    lines.push(`LOCATION:${escapeText(process.env.SALON_ADDRESS)}`);
+  }
+  if (!cancelled) {
+    lines.push(`DESCRIPTION:${escapeText(`View, cancel or reschedule: ${getManageUrl(booking)}`)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build an .ics calendar for one or more bookings
+ * @param {Array<Object>} bookings - Booking documents
+ * @param {Object} [options]
+ * @param {boolean} [options.cancelled] - Cancel the events instead of adding/updating them
+ * @returns {string}
+ */
+const buildCalendar = (bookings, { cancelled = false } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(salonName())}//Bookings//EN`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${cancelled ? 'CANCEL' : 'REQUEST'}`,
+    ...bookings.flatMap(booking => eventLines(booking, cancelled)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Email attachment carrying the calendar for some bookings
+ * @param {Array<Object>} bookings
+ * @param {Object} [options] - { cancelled }
+ * @returns {Object} nodemailer attachment
+ */
+const calendarAttachment = (bookings, options = {}) => ({
+  filename: options.cancelled ? 'cancellation.ics' : 'appointment.ics',
+  content: buildCalendar(bookings, options),
+  contentType: `text/calendar; charset=utf-8; method=${options.cancelled ? 'CANCEL' : 'REQUEST'}`
+});
+
+module.exports = {
+  bookingUid,
+  buildCalendar,
+  calendarAttachment
+};
@@ -0,0 +1,271 @@
+// utils/consent.js
+//
+// Customer communication consent. Each customer (by phone number, or by email
+// when they have none) may have a ContactPreference saying which channels
+// they want, whether they agreed to booking messages on WhatsApp/SMS and to
+// marketing, and their quiet hours. Every change, and every suppression, is
+// written to the append-only ConsentLog.
+//
+// notify() asks checkConsent() before queuing a message, by its category
+// (see notifications/messages.js):
+//   transactional  booking messages; WhatsApp and SMS need the customer's
+//                  opt-in, email goes out unless they turned it off
+//   marketing      needs a marketing opt-in, on any channel
+//   account        login codes and account links the customer asked for
+//   reply          answers to a message the customer sent us
+//   compliance     opt-out confirmations, sent even to suppressed addresses
+// Suppressed addresses get nothing else on that channel. Transactional and
+// marketing messages that fall in quiet hours wait until they end.
+
+const ContactPreference = require('../models/ContactPreference');
+const ConsentLog = require('../models/ConsentLog');
+const Suppression = require('../models/Suppression');
+const { toMinutes, toSalonInstant, toSalonWallClock } = require('./time');
+
+const PHONE_CHANNELS = ['whatsapp', 'sms'];
+
+// Preference fields tracked in the consent history
+const TRACKED_FIELDS = [
+  'channels.whatsapp',
+  'channels.sms',
+  'channels.email',
+  'transactional',
+  'marketing',
+  'quietHours.start',
+  'quietHours.end'
+];
+
+/**
+ * Address a channel delivers to
+ * @param {string} channel
+ * @param {Object} recipient - { phone, email }
+ * @returns {string|undefined}
+ */
+const addressFor = (channel, recipient) =>
+  channel === 'email' ? recipient.email?.trim().toLowerCase() : recipient.phone;
+
+/**
+ * Find a customer's preferences, matching the phone number first
+ * @param {Object} contact - { phone, email }
+ * @returns {Promise<Object|null>}
+ */
+const findPreference = async ({ phone, email }) => {
+  const normalizedEmail = email?.trim().toLowerCase();
+  const match = [phone && { phone }, normalizedEmail && { email: normalizedEmail }].filter(Boolean);
+  if (!match.length) return null;
+
+  const preferences = await ContactPreference.find({ $or: match }).limit(5);
+  return preferences.find(p => phone && p.phone === phone) || preferences[0] || null;
+};
+
+/**
+ * Append an entry to the consent history
+ * @param {Object} [req] - Express request the change came from (actor, IP, user agent)
+ * @param {Object} entry - { phone, email, source, changes, note }
+ */
+const logConsent = (req, { phone, email, source, changes, note }) => ConsentLog.create({
+  phone,
+  email,
+  source,
+  changes,
+  note,
+  actor: { userId: req?.user?.id, role: req?.user?.role },
+  ip: req?.ip,
+  userAgent: req?.get('user-agent')?.slice(0, 500)
+});
+
+const trackedValues = (preference) =>
+  Object.fromEntries(TRACKED_FIELDS.map(field => [field, preference.get(field) ?? null]));
+
+/**
+ * Change a customer's preferences, creating them if needed, and record the change
+ * @param {Object} contact - { phone, email, userId }
+ * @param {Object} changes - Paths to set, e.g. { transactional: true, 'channels.sms': false }
+ * @param {Object} options
+ * @param {string} options.source - booking | waitlist | customer | keyword | admin
+ * @param {Object} [options.req]
+ * @param {string} [options.note]
+ * @returns {Promise<Object>} The ContactPreference
+ */
+const updatePreference = async ({ phone, email, userId }, changes, { source, req, note }) => {
+  const preference = await findPreference({ phone, email }) || new ContactPreference({ phone });
+  const before = trackedValues(preference);
+
+  preference.set(changes);
+  if (!preference.phone && phone) preference.phone = phone;
+  if (!preference.email && email) preference.email = email;
+  if (!preference.userId && userId) preference.userId = userId;
+
+  const after = trackedValues(preference);
+  const diff = {};
+  for (const field of TRACKED_FIELDS) {
+    if (before[field] !== after[field]) {
+      diff[field] = { from: before[field], to: after[field] };
+    }
+  }
+
+  if (!preference.isModified()) return preference;
+  await preference.save();
+
+  if (Object.keys(diff).length) {
+    await logConsent(req, { phone: preference.phone, email: preference.email, source, changes: diff, note });
+  }
+  return preference;
+};
+
+/**
+ * Record the opt-in boxes from a booking or waitlist form
+ * Unticked boxes change nothing: they don't withdraw consent given before.
+ * Never throws: the booking is already made, and without a record the
+ * customer simply isn't messaged on WhatsApp/SMS.
+ * @param {Object} value - Validated form ({ phone, email, optIn, marketingOptIn })
+ * @param {string} source - booking | waitlist
+ * @param {Object} [req]
+ * @returns {Promise<Object|null>} The ContactPreference, or null when nothing was recorded
+ */
+const recordOptIn = async (value, source, req) => {
+  const changes = {};
+  if (value.optIn) changes.transactional = true;
+  if (value.marketingOptIn) changes.marketing = true;
+  if (!Object.keys(changes).length) return null;
+
+  try {
+    return await updatePreference(
+      { phone: value.phone, email: value.email || undefined, userId: req?.user?.id },
+      changes,
+      { source, req }
+    );
+  } catch (error) {
+    console.error('❌ Could not record opt-in:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Check whether an address is on the suppression list for a channel
+ * @param {string} channel
+ * @param {string} address
+ * @returns {Promise<boolean>}
+ */
+const isSuppressed = async (channel, address) =>
+  Boolean(address && await Suppression.exists({ channel, address: address.toLowerCase() }));
+
+/**
+ * Add an address to the suppression list
+ * @param {Object} entry - { channel, address, reason, note }
+ * @param {Object} options - { source, req }
+ * @returns {Promise<Object>} The Suppression (the existing one if it was already there)
+ */
+const suppress = async ({ channel, address, reason, note }, { source, req }) => {
+  const normalized = address.trim().toLowerCase();
+  const existing = await Suppression.findOne({ channel, address: normalized });
+  if (existing) return existing;
+
+  let suppression;
+  try {
+    suppression = await Suppression.create({ channel, address: normalized, reason, note, createdBy: req?.user?.id });
+  } catch (error) {
+    if (error.code === 11000) return Suppression.findOne({ channel, address: normalized });
+    throw error;
+  }
+
+  await logConsent(req, {
+    [channel === 'email' ? 'email' : 'phone']: normalized,
+    source,
+    changes: { [`suppressed.${channel}`]: { from: false, to: true } },
+    note: note || reason
+  });
+  return suppression;
+};
+
+/**
+ * Take an address off the suppression list
+ * @param {Object} entry - { channel, address, note }
+ * @param {Object} options - { source, req }
+ * @returns {Promise<Object|null>} The removed Suppression, or null if there was none
+ */
+const unsuppress = async ({ channel, address, note }, { source, req }) => {
+  const normalized = address.trim().toLowerCase();
+  const removed = await Suppression.findOneAndDelete({ channel, address: normalized });
+  if (!removed) return null;
+
+  await logConsent(req, {
+    [channel === 'email' ? 'email' : 'phone']: normalized,
+    source,
+    changes: { [`suppressed.${channel}`]: { from: true, to: false } },
+    note
+  });
+  return removed;
+};
+
+/**
+ * When quiet hours that are in effect now end
+ * @param {Object} [quietHours] - { start, end } in salon time
+ * @param {Date} [now]
+ * @returns {Date|null} null when it isn't quiet hours
+ */
+const quietHoursEnd = (quietHours, now = new Date()) => {
+  const { start, end } = quietHours || {};
+  if (!start || !end || start === end) return null;
+
+  const { date, time } = toSalonWallClock(now);
+  const current = toMinutes(time);
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  const inside = from < to
+    ? current >= from && current < to
+    : current >= from || current < to; // spans midnight
+  if (!inside) return null;
+
+  // Ends later today, or tomorrow when we're in the evening part of an overnight window
+  const endDay = new Date(`${date}T00:00:00.000Z`);
+  if (current >= to) endDay.setUTCDate(endDay.getUTCDate() + 1);
+  return toSalonInstant(endDay, end);
+};
+
+/**
+ * Decide whether a message may go to a recipient on a channel
+ * @param {string} [category] - transactional | marketing | account | reply | compliance
+ * @param {string} channel
+ * @param {Object} recipient - { phone, email }
+ * @param {Date} [now]
+ * @returns {Promise<{ allowed: boolean, reason?: string, notBefore?: Date }>}
+ *   reason: suppressed | channel_disabled | no_consent | no_marketing_consent
+ */
+const checkConsent = async (category, channel, recipient, now = new Date()) => {
+  if (category !== 'compliance' && await isSuppressed(channel, addressFor(channel, recipient))) {
+    return { allowed: false, reason: 'suppressed' };
+  }
+  if (!['transactional', 'marketing'].includes(category)) {
+    return { allowed: true };
+  }
+
+  const preference = await findPreference(recipient);
+
+  if (preference?.channels?.[channel] === false) {
+    return { allowed: false, reason: 'channel_disabled' };
+  }
+  if (category === 'marketing' && !preference?.marketing) {
+    return { allowed: false, reason: 'no_marketing_consent' };
+  }
+  if (category === 'transactional' && PHONE_CHANNELS.includes(channel) && !preference?.transactional) {
+    return { allowed: false, reason: 'no_consent' };
+  }
+
+  return { allowed: true, notBefore: quietHoursEnd(preference?.quietHours, now) || undefined };
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  addressFor,
+  findPreference,
+  logConsent,
+  updatePreference,
+  recordOptIn,
+  isSuppressed,
+  suppress,
+  unsuppress,
+  quietHoursEnd,
+  checkConsent
+};
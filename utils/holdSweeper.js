@@ -0,0 +1,72 @@
+// utils/holdSweeper.js
+
+const cron = require('node-cron');
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { syncTimeSlot } = require('./timeSlots');
+const { statusEntry } = require('./bookingStatus');
+const { notifyWaitlist } = require('./waitlist');
+
+/**
+ * Cancel checkout holds that passed their expiry, free their slots and offer
+ * them to the waitlist
+ * @returns {Promise<number>} Number of holds released
+ */
+const releaseExpiredHolds = async () => {
+  const expired = await Booking.find({
+    status: 'pending',
+    holdExpiresAt: { $lte: new Date() }
+  }).select('_id date time timeSlot');
+
+  if (!expired.length) return 0;
+
+  const released = [];
+  for (const booking of expired) {
+    // Re-check status so a hold confirmed in the meantime isn't cancelled
+    const { modifiedCount } = await Booking.updateOne(
+      { _id: booking._id, status: 'pending', holdExpiresAt: { $lte: new Date() } },
+      {
+        $set: { status: 'cancelled' },
+        $push: { statusHistory: statusEntry('pending', 'cancelled', { reason: 'Hold expired' }) }
+      }
+    );
+    if (modifiedCount) released.push(booking);
+  }
+
+  const dates = [...new Set(released.map(b => b.date.getTime()))];
+  for (const date of dates) {
+    try {
+      await syncTimeSlot(new Date(date));
+    } catch (timeSlotError) {
+      console.error('TimeSlot sync error:', timeSlotError.message);
+    }
+  }
+
+  // A lapsed waitlist offer is passed on by the waitlist's own sweeper
+  const offered = await WaitlistEntry.find({
+    status: 'notified',
+    bookingId: { $in: released.map(b => b._id) }
+  }).select('bookingId');
+  const offeredIds = new Set(offered.map(entry => String(entry.bookingId)));
+
+  await notifyWaitlist(released.filter(b => !offeredIds.has(String(b._id))));
+
+  return released.length;
+};
+
+/**
+ * Run the sweeper every minute
+ * @returns {Object} The scheduled cron task
+ */
+const start = () => cron.schedule('* * * * *', async () => {
+  try {
+    const released = await releaseExpiredHolds();
+    if (released) {
+      console.log(`⏱️  Released ${released} expired hold(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Hold sweeper error:', error.message);
+  }
+});
+
+module.exports = { releaseExpiredHolds, start };
@@ -0,0 +1,193 @@
+// utils/inbound.js
+//
+// Customer replies to our WhatsApp messages. A reply starting with a keyword
+// acts on the sender's next upcoming booking:
+//   CONFIRM (or YES)       confirm a pending booking
+//   CANCEL                 cancel it, freeing the slot
+//   RESCHEDULE (or CHANGE) send a link to pick a new time
+// STOP (or UNSUBSCRIBE) puts the number on the suppression list for the
+// channel and START (or SUBSCRIBE) takes it off again; neither needs a booking.
+// Anything else, or a keyword with no booking to act on, is stored for staff
+// to follow up.
+
+const Booking = require('../models/Booking');
+const InboundMessage = require('../models/InboundMessage');
+const { cancelBookings } = require('./bookings');
+const { canTransition, transitionStatus } = require('./bookingStatus');
+const { toSalonInstant } = require('./time');
+const { notifyWaitlist } = require('./waitlist');
+const { notify } = require('./notifications');
+const { suppress, unsuppress, updatePreference } = require('./consent');
+
+const KEYWORDS = {
+  CONFIRM: 'confirm',
+  YES: 'confirm',
+  CANCEL: 'cancel',
+  RESCHEDULE: 'reschedule',
+  CHANGE: 'reschedule',
+  STOP: 'stop',
+  STOPALL: 'stop',
+  UNSUBSCRIBE: 'stop',
+  START: 'start',
+  SUBSCRIBE: 'start'
+};
+
+// Keywords about the sender's consent rather than a booking
+const CONSENT_KEYWORDS = ['stop', 'start'];
+
+/**
+ * Read the keyword a message starts with
+ * @param {string} body
+ * @returns {string|undefined} confirm | cancel | reschedule | stop | start
+ */
+const parseKeyword = (body) => KEYWORDS[body.trim().split(/\s+/)[0].replace(/[^A-Za-z]/g, '').toUpperCase()];
+
+/**
+ * Get a phone number's next appointment that hasn't started yet
+ * Checkout holds are left out: they belong to a booking still being made.
+ * @param {string} phone
+ * @returns {Promise<Object|null>}
+ */
+const findNextBooking = async (phone) => {
+  const now = new Date();
+  const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+
+  const bookings = await Booking.find({
+    phone,
+    status: { $in: ['pending', 'confirmed'] },
+    holdExpiresAt: null,
+    date: { $gte: yesterday }
+  });
+
+  return bookings
+    .map(booking => ({ booking, start: toSalonInstant(booking.date, booking.timeSlot || booking.time) }))
+    .filter(({ start }) => start > now)
+    .sort((a, b) => a.start - b.start)[0]?.booking || null;
+};
+
+/**
+ * Carry out a keyword on a booking
+ * @returns {Promise<{ outcome: string, followUp: boolean }>}
+ */
+const applyKeyword = async (keyword, booking) => {
+  const context = { actor: 'customer', reason: 'WhatsApp reply' };
+
+  if (keyword === 'confirm') {
+    if (booking.status === 'confirmed') {
+      await notify('booking.confirmed', { booking });
+      return { outcome: 'already_confirmed', followUp: false };
+    }
+
+    const updated = await transitionStatus(booking, 'confirmed', context);
+    if (!updated) {
+      return { outcome: 'changed_concurrently', followUp: true };
+    }
+    await notify('booking.confirmed', { booking: updated });
+    return { outcome: 'confirmed', followUp: false };
+  }
+
+  if (keyword === 'cancel') {
+    if (!canTransition(booking.status, 'cancelled')) {
+      return { outcome: `cannot_cancel_${booking.status}`, followUp: true };
+    }
+
+    // Same path as a cancellation through the API
+    const cancelled = await cancelBookings([booking], context);
+    await notifyWaitlist(cancelled);
+    if (cancelled.length) {
+      await notify('booking.cancelled', { booking: cancelled[0] });
+    }
+    return { outcome: 'cancelled', followUp: false };
+  }
+
+  await notify('booking.reschedule_link', { booking });
+  return { outcome: 'reschedule_link_sent', followUp: false };
+};
+
+/**
+ * Opt a number out of, or back into, messages on a channel
+ * Opting back in also counts as agreeing to booking messages.
+ * @returns {Promise<{ outcome: string, followUp: boolean }>}
+ */
+const applyConsentKeyword = async (keyword, { channel, from, body }) => {
+  const options = { source: 'keyword', note: body.slice(0, 200) };
+
+  if (keyword === 'stop') {
+    await suppress({ channel, address: from, reason: 'opt_out', note: options.note }, options);
+    await notify('consent.opted_out', { phone: from });
+    return { outcome: 'opted_out', followUp: false };
+  }
+
+  await unsuppress({ channel, address: from, note: options.note }, options);
+  await updatePreference({ phone: from }, { transactional: true, [`channels.${channel}`]: true }, options);
+  await notify('consent.opted_in', { phone: from });
+  return { outcome: 'opted_in', followUp: false };
+};
+
+/**
+ * Record an inbound message and act on it
+ * @param {Object} message
+ * @param {string} message.channel - whatsapp | sms
+ * @param {string} message.from - 10-digit phone number
+ * @param {string} message.body
+ * @param {string} [message.providerMessageId]
+ * @returns {Promise<Object|null>} The InboundMessage, or null for a repeat delivery
+ */
+const handleInboundMessage = async ({ channel, from, body = '', providerMessageId }) => {
+  // Store first so a webhook retried by the provider is only acted on once
+  let inbound;
+  try {
+    inbound = await InboundMessage.create({ channel, from, body, providerMessageId });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  const keyword = parseKeyword(body);
+  const isConsentKeyword = CONSENT_KEYWORDS.includes(keyword);
+  const booking = keyword && !isConsentKeyword ? await findNextBooking(from) : null;
+
+  let result;
+  if (!keyword) {
+    result = { outcome: 'unrecognized', followUp: true };
+  } else if (isConsentKeyword) {
+    // An opt-out must not be lost: on failure, forget the message so the
+    // provider's retry of the webhook is acted on
+    try {
+      result = await applyConsentKeyword(keyword, { channel, from, body });
+    } catch (error) {
+      await InboundMessage.deleteOne({ _id: inbound._id });
+      throw error;
+    }
+  } else if (!booking) {
+    result = { outcome: 'no_upcoming_booking', followUp: true };
+  } else {
+    try {
+      result = await applyKeyword(keyword, booking);
+    } catch (error) {
+      console.error(`❌ Could not ${keyword} booking from inbound message:`, error.message);
+      result = { outcome: 'failed', followUp: true };
+    }
+  }
+
+  if (result.followUp) {
+    await notify('inbound.unrecognized', { phone: from });
+  }
+
+  inbound.set({
+    keyword,
+    bookingId: booking?._id,
+    outcome: result.outcome,
+    status: result.followUp ? 'needs_follow_up' : 'handled'
+  });
+  await inbound.save();
+
+  return inbound;
+};
+
+module.exports = {
+  KEYWORDS,
+  parseKeyword,
+  findNextBooking,
+  handleInboundMessage
+};
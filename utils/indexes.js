@@ -0,0 +1,58 @@
+// utils/indexes.js
+//
+// Indexes that changed shape since the first release. MongoDB won't alter an
+// index in place, and Mongoose's autoIndex fails with "Index already exists
+// with different options", so a database created by an older version keeps
+// the old index until it is dropped:
+//   bookings.date_1_time_1  was unique: one booking per time across the whole
+//                           salon, which rejects two stylists booked at once
+//   users.email_1           was unique but not sparse: a second phone-only
+//                           account (no email) fails as a duplicate
+// upgradeIndexes() runs at startup, drops these when they're still in the old
+// form and builds every index the models declare.
+
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+
+const OUTDATED_INDEXES = [
+  { model: Booking, name: 'date_1_time_1', isOutdated: (index) => Boolean(index.unique) },
+  { model: User, name: 'email_1', isOutdated: (index) => Boolean(index.unique) && !index.sparse }
+];
+
+/**
+ * List a collection's indexes, or none if it doesn't exist yet
+ * @param {Object} model - Mongoose model
+ * @returns {Promise<Array>}
+ */
+const listIndexes = async (model) => {
+  try {
+    return await model.collection.indexes();
+  } catch (error) {
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  }
+};
+
+/**
+ * Drop indexes left in their old form and create the current ones
+ * @returns {Promise<Array<string>>} Names of the indexes dropped
+ */
+const upgradeIndexes = async () => {
+  const dropped = [];
+
+  for (const { model, name, isOutdated } of OUTDATED_INDEXES) {
+    const index = (await listIndexes(model)).find(i => i.name === name);
+
+    if (index && isOutdated(index)) {
+      await model.collection.dropIndex(name);
+      dropped.push(`${model.collection.collectionName}.${name}`);
+      console.log(`🔧 Dropped outdated index ${model.collection.collectionName}.${name}`);
+    }
+
+    await model.createIndexes();
+  }
+
+  return dropped;
+};
+
+module.exports = { upgradeIndexes };
@@ -0,0 +1,38 @@
+// utils/mailer.js
+//
+// Outgoing email through nodemailer. Point SMTP_HOST/SMTP_PORT at a real
+// server, or at a local capture server such as MailHog or Mailpit
+// (SMTP_HOST=localhost SMTP_PORT=1025 SMTP_IGNORE_TLS=true). Without
+// SMTP_HOST nothing is sent: the email channel counts as unconfigured
+// (utils/notifications/channels.js) and sendMail() throws.
+
+const nodemailer = require('nodemailer');
+
+const transporter = process.env.SMTP_HOST
+  ? nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  })
+  : null;
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Luxe Beauty Studio <no-reply@luxebeauty.studio>';
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html, attachments, icalEvent }
+ * @returns {Promise<Object>} nodemailer info
+ * @throws {Error} When SMTP_HOST isn't set, or the server rejects the message
+ */
+const sendMail = async (message) => {
+  if (!transporter) {
+    throw new Error('SMTP_HOST is not set');
+  }
+  return transporter.sendMail({ from: MAIL_FROM, ...message });
+};
+
+module.exports = { sendMail };
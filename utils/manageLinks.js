@@ -0,0 +1,54 @@
+// utils/manageLinks.js
+//
+// Signed "manage booking" links let guests view, cancel or reschedule a
+// booking without an account. The token is a JWT naming the booking; it
+// stops working a day after the appointment it was issued for.
+
+const jwt = require('jsonwebtoken');
+const { toSalonInstant } = require('./time');
+
+const MANAGE_TOKEN_TYPE = 'manage_booking';
+const GRACE_MS = 24 * 60 * 60 * 1000;
+
+const getSecret = () => process.env.MANAGE_LINK_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign a manage token for a booking
+ * @param {Object} booking - Booking document
+ * @returns {string}
+ */
+const createManageToken = (booking) => {
+  const start = toSalonInstant(booking.date, booking.timeSlot || booking.time);
+  return jwt.sign(
+    {
+      bid: String(booking._id),
+      typ: MANAGE_TOKEN_TYPE,
+      exp: Math.floor((start.getTime() + GRACE_MS) / 1000)
+    },
+    getSecret()
+  );
+};
+
+/**
+ * Link to the booking's self-service page
+ * @param {Object} booking - Booking document
+ * @returns {string}
+ */
+const getManageUrl = (booking) =>
+  `${process.env.FRONTEND_URL || 'https://beauty-parlour-delta.vercel.app'}/manage-booking?token=${createManageToken(booking)}`;
+
+/**
+ * Read the booking ID from a manage token
+ * @param {string} token
+ * @returns {string|null} Booking ID, or null if the token is invalid or expired
+ */
+const verifyManageToken = (token) => {
+  try {
+    const payload = jwt.verify(token, getSecret());
+    return payload.typ === MANAGE_TOKEN_TYPE ? payload.bid : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = { createManageToken, getManageUrl, verifyManageToken };
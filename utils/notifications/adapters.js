@@ -0,0 +1,108 @@
+// utils/notifications/adapters.js
+//
+// Channel adapters. Each one is { name, send(recipient, message) } where
+// recipient is { name, phone, email } and message is { subject, text, sensitive }.
+// send() resolves when the provider accepted the message and throws otherwise.
+
+const fs = require('fs');
+const path = require('path');
+const { sendMail } = require('../mailer');
+
+const COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || '91';
+
+// Stored numbers are 10 digits without the country code
+const toE164 = (phone) => (phone.startsWith('+') ? phone : `+${COUNTRY_CODE}${phone}`);
+
+// "whatsapp:+919876543210" -> "9876543210"
+const fromE164 = (address) => {
+  const digits = address.replace(/^whatsapp:/, '').replace(/\D/g, '');
+  return digits.length > 10 && digits.startsWith(COUNTRY_CODE) ? digits.slice(COUNTRY_CODE.length) : digits;
+};
+
+let twilioClient;
+const getTwilio = () => {
+  if (!twilioClient) {
+    twilioClient = require('twilio')(process.env.TWILIO_SID, process.env.TWILIO_TOKEN);
+  }
+  return twilioClient;
+};
+
+const hasTwilio = () => Boolean(process.env.TWILIO_SID && process.env.TWILIO_TOKEN);
+
+const twilioWhatsApp = {
+  name: 'twilio-whatsapp',
+  configured: () => hasTwilio() && Boolean(process.env.TWILIO_WHATSAPP_FROM),
+  async send(recipient, message) {
+    return getTwilio().messages.create({
+      body: message.text,
+      from: `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}`,
+      to: `whatsapp:${toE164(recipient.phone)}`
+    });
+  }
+};
+
+const twilioSms = {
+  name: 'twilio-sms',
+  configured: () => hasTwilio() && Boolean(process.env.TWILIO_SMS_FROM),
+  async send(recipient, message) {
+    return getTwilio().messages.create({
+      body: message.text,
+      from: process.env.TWILIO_SMS_FROM,
+      to: toE164(recipient.phone)
+    });
+  }
+};
+
+const email = {
+  name: 'email',
+  configured: () => Boolean(process.env.SMTP_HOST), // utils/mailer.js can't send without it
+  async send(recipient, message) {
+    return sendMail({
+      to: recipient.email,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments: message.attachments
+    });
+  }
+};
+
+// Development adapters: print, or append JSON lines to NOTIFICATION_LOG_FILE.
+// The text of sensitive messages (login codes, account links) is left out
+// unless NOTIFICATION_LOG_SENSITIVE=true, so a local setup can read them.
+const loggedText = (message) =>
+  (message.sensitive && process.env.NOTIFICATION_LOG_SENSITIVE !== 'true' ? '[redacted]' : message.text);
+
+const consoleAdapter = {
+  name: 'console',
+  configured: () => true,
+  async send(recipient, message, channel) {
+    console.log(`📨 [${channel}] to ${recipient.phone || recipient.email}: ${message.subject ? message.subject + ' | ' : ''}${loggedText(message)}`);
+  }
+};
+
+const fileAdapter = {
+  name: 'file',
+  configured: () => true,
+  async send(recipient, message, channel) {
+    const file = path.resolve(process.env.NOTIFICATION_LOG_FILE || 'notifications.log');
+    const line = JSON.stringify({
+      channel,
+      to: channel === 'email' ? recipient.email : recipient.phone,
+      subject: message.subject,
+      text: loggedText(message),
+      sentAt: new Date().toISOString()
+    });
+    await fs.promises.appendFile(file, line + '\n');
+  }
+};
+
+module.exports = {
+  toE164,
+  fromE164,
+  twilioWhatsApp,
+  twilioSms,
+  email,
+  console: consoleAdapter,
+  file: fileAdapter
+};
@@ -0,0 +1,97 @@
+// utils/notifications/channels.js
+//
+// Which channels a message goes out on and which adapter sends each one.
+//
+//   NOTIFICATION_CHANNELS  channels the salon sends on, e.g. "whatsapp,sms"
+//                          (default "whatsapp,email"). A customer's preferredChannel
+//                          is used when it is one of these; otherwise every
+//                          listed channel they can be reached on.
+//   NOTIFICATION_ADAPTER   "console" or "file" sends every channel through a
+//                          development adapter instead of Twilio/SMTP.
+//   NOTIFICATION_LOG_SENSITIVE  "true" lets those adapters show login codes
+//                          and account links (local development only).
+//
+// Otherwise a channel without provider credentials fails to send (the queue
+// records the error) rather than printing the message where it was meant
+// to be delivered.
+
+const adapters = require('./adapters');
+
+const CHANNELS = ['whatsapp', 'sms', 'email'];
+
+const enabledChannels = () => (process.env.NOTIFICATION_CHANNELS || 'whatsapp,email')
+  .split(',')
+  .map(c => c.trim())
+  .filter(c => CHANNELS.includes(c));
+
+const liveAdapters = {
+  whatsapp: adapters.twilioWhatsApp,
+  sms: adapters.twilioSms,
+  email: adapters.email
+};
+
+// Adapters plugged in with setAdapter(), by channel
+const overrides = {};
+
+/**
+ * Use a custom adapter for a channel
+ * @param {string} channel - whatsapp | sms | email
+ * @param {Object} adapter - { name, send(recipient, message, channel) }
+ */
+const setAdapter = (channel, adapter) => {
+  overrides[channel] = adapter;
+};
+
+const getAdapter = (channel) => {
+  if (overrides[channel]) return overrides[channel];
+
+  if (['console', 'file'].includes(process.env.NOTIFICATION_ADAPTER)) {
+    return adapters[process.env.NOTIFICATION_ADAPTER];
+  }
+
+  const live = liveAdapters[channel];
+  if (!live.configured()) {
+    throw new Error(`No ${channel} provider is configured`);
+  }
+  return live;
+};
+
+const canReach = (recipient, channel) =>
+  channel === 'email' ? Boolean(recipient.email) : Boolean(recipient.phone);
+
+/**
+ * Pick the channels to send on
+ * @param {Object} recipient - { phone, email, preferredChannel }
+ * @param {Array} [allowed] - Channels the event is limited to
+ * @returns {Array}
+ */
+const resolveChannels = (recipient, allowed) => {
+  const enabled = allowed || enabledChannels();
+  const reachable = enabled.filter(channel => canReach(recipient, channel));
+
+  if (recipient.preferredChannel && reachable.includes(recipient.preferredChannel)) {
+    return [recipient.preferredChannel];
+  }
+  return reachable;
+};
+
+/**
+ * Send a message on one channel
+ * @param {string} channel
+ * @param {Object} recipient
+ * @param {Object} message - { subject, text, html, attachments, sensitive }
+ * @returns {Promise<{ provider, providerMessageId }>}
+ * @throws When the channel has no provider configured or the adapter fails
+ */
+const send = async (channel, recipient, message) => {
+  const adapter = getAdapter(channel);
+  const result = await adapter.send(recipient, message, channel);
+  return { provider: adapter.name, providerMessageId: result?.sid || result?.messageId };
+};
+
+module.exports = {
+  CHANNELS,
+  setAdapter,
+  resolveChannels,
+  send
+};
@@ -0,0 +1,54 @@
+// utils/notifications/html.js
+//
+// HTML version of an email. Templates are plain text (they're shared with
+// WhatsApp and SMS), so the HTML is the rendered text in a simple branded
+// layout, with links made clickable.
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const URL_PATTERN = /(https?:\/\/[^\s<]+)/g;
+
+/**
+ * Wrap a rendered message in the email layout
+ * @param {Object} message
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @returns {string}
+ */
+const renderHtml = ({ subject, text }) => {
+  const salonName = escapeHtml(process.env.SALON_NAME || 'Luxe Beauty Studio');
+  const paragraphs = escapeHtml(text)
+    .split(/\n{2,}/)
+    .map(paragraph => paragraph
+      .replace(URL_PATTERN, url => `<a href="${url}" style="color:#b0417a;">${url}</a>`)
+      .replace(/\n/g, '<br>'))
+    .map(paragraph => `<p style="margin:0 0 16px;line-height:1.5;">${paragraph}</p>`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(subject || '')}</title>
+</head>
+<body style="margin:0;padding:0;background:#f7f2f5;font-family:Helvetica,Arial,sans-serif;color:#333;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+<tr><td align="center" style="padding:24px 12px;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;background:#fff;border-radius:8px;">
+<tr><td style="padding:20px 24px;border-bottom:1px solid #eee;font-size:20px;font-weight:bold;color:#b0417a;">${salonName}</td></tr>
+<tr><td style="padding:24px;font-size:15px;">
+${paragraphs}
+</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+};
+
+module.exports = { renderHtml };
@@ -0,0 +1,172 @@
+// utils/notifications/index.js
+//
+// One place that turns events (booking.confirmed, waitlist.offered, ...)
+// into customer messages. Controllers call notify(event, data), which writes
+// the message in the recipient's language (templates.js), picks the channels
+// the customer can and agreed to be reached on (channels.js, ../consent.js)
+// and queues one message per channel for the worker (queue.js), so a slow or
+// failing provider never holds up a request.
+
+const User = require('../../models/User');
+const { events } = require('./messages');
+const { renderMessage } = require('./templates');
+const { renderHtml } = require('./html');
+const { calendarAttachment } = require('../calendar');
+const { CHANNELS, setAdapter, resolveChannels } = require('./channels');
+const { enqueue, sendNow } = require('./queue');
+const { checkConsent } = require('../consent');
+
+/**
+ * Pick the language to write to a recipient in
+ * @param {Object} recipient - { language, userId }
+ * @returns {Promise<string|undefined>} undefined for the default language
+ */
+const resolveLanguage = async (recipient) => {
+  if (recipient.language) return recipient.language;
+  if (!recipient.userId) return undefined;
+
+  const user = await User.findById(recipient.userId).select('language');
+  return user?.language;
+};
+
+// Booking an event is about, so its messages can be listed per booking
+const relatedBookingId = (data) =>
+  data.booking?._id || data.bookings?.[0]?._id || data.entry?.bookingId;
+
+/**
+ * Pick the channels a message goes on, honouring consent and the suppression list
+ * A preferred channel the customer can't be messaged on falls back to the others.
+ * @param {string} category
+ * @param {Object} recipient
+ * @param {Array} [allowed] - Channels the event is limited to
+ * @returns {Promise<{ send: Array, blocked: Array }>} send: [{ channel, notBefore }];
+ *   blocked: [{ channel, reason }] for channels that would have been used
+ */
+const selectChannels = async (category, recipient, allowed) => {
+  const wanted = resolveChannels(recipient, allowed);
+  const permitted = [];
+  const blocked = [];
+
+  for (const channel of resolveChannels({ ...recipient, preferredChannel: undefined }, allowed)) {
+    const decision = await checkConsent(category, channel, recipient);
+    if (decision.allowed) {
+      permitted.push({ channel, notBefore: decision.notBefore });
+    } else if (wanted.includes(channel)) {
+      blocked.push({ channel, reason: decision.reason });
+    }
+  }
+
+  const preferred = permitted.find(({ channel }) => channel === recipient.preferredChannel);
+  return { send: preferred ? [preferred] : permitted, blocked };
+};
+
+/**
+ * Notify a customer about an event
+ * Never throws: a failed notification must not fail the request that caused it.
+ * @param {string} event - Key of messages.js events, e.g. booking.confirmed
+ * @param {Object} data - Event data, e.g. { booking }
+ * @param {Object} [options]
+ * @param {boolean} [options.immediate] - Try sending now rather than waiting
+ *   for the worker (it still retries if this attempt fails)
+ * @returns {Promise<Array>} [{ channel, messageId, status }] per queued message,
+ *   with status suppressed for channels consent ruled out
+ */
+const notify = async (event, data, { immediate = false } = {}) => {
+  if (!events[event]) {
+    console.error(`❌ Unknown notification event: ${event}`);
+    return [];
+  }
+
+  let message;
+  try {
+    const { recipient, channels, variables } = events[event].build(data);
+    const content = await renderMessage(event, variables, await resolveLanguage(recipient));
+
+    // Emails also get an HTML body and, for booking changes, a calendar file
+    const calendar = events[event].calendar?.(data);
+    const email = {
+      html: renderHtml(content),
+      attachments: calendar ? [calendarAttachment(calendar.bookings, calendar)] : undefined
+    };
+
+    message = { recipient, channels, content, email };
+  } catch (error) {
+    console.error(`❌ Could not build ${event} notification:`, error.message);
+    return [];
+  }
+
+  const { recipient, channels, content, email } = message;
+  const category = events[event].category || 'transactional';
+  const sensitive = Boolean(events[event].sensitive);
+  const details = {
+    event,
+    category,
+    recipient: { name: recipient.name, phone: recipient.phone, email: recipient.email },
+    bookingId: relatedBookingId(data),
+    sensitive
+  };
+  const results = [];
+
+  let selected;
+  try {
+    selected = await selectChannels(category, recipient, channels);
+  } catch (error) {
+    console.error(`❌ Could not check consent for ${event}:`, error.message);
+    return [];
+  }
+
+  // Booking messages turned off from the booking's manage link
+  if (category === 'transactional' && data.booking?.messagesMuted) {
+    selected = {
+      send: [],
+      blocked: [...selected.blocked, ...selected.send.map(({ channel }) => ({ channel, reason: 'booking_muted' }))]
+    };
+  }
+
+  // Kept so staff can see why a customer didn't hear from us
+  for (const { channel, reason } of selected.blocked) {
+    try {
+      const record = await enqueue({
+        ...details,
+        channel,
+        ...content,
+        ...(sensitive && { text: '[redacted]' }),
+        status: 'suppressed',
+        suppressedReason: reason
+      });
+      results.push({ channel, messageId: record._id, status: record.status });
+    } catch (error) {
+      console.error(`❌ Could not record suppressed ${event} ${channel} message:`, error.message);
+    }
+  }
+
+  for (const { channel, notBefore } of selected.send) {
+    try {
+      let queued = await enqueue({
+        ...details,
+        channel,
+        ...content,
+        ...(channel === 'email' && email),
+        ...(notBefore && { nextAttemptAt: notBefore })
+      });
+
+      if (immediate && !notBefore) {
+        queued = (await sendNow(queued)) || queued;
+      }
+
+      results.push({ channel, messageId: queued._id, status: queued.status });
+    } catch (error) {
+      console.error(`❌ Could not queue ${event} ${channel} message:`, error.message);
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  CHANNELS,
+  setAdapter,
+  resolveChannels,
+  resolveLanguage,
+  notify
+};
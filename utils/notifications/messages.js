@@ -0,0 +1,268 @@
+// utils/notifications/messages.js
+//
+// Customer message events. Each event has
+//   placeholders  variables its template may use (plus {{salonName}})
+//   subject/body  built-in English text, used until a template is stored
+//                 for the event (see models/MessageTemplate.js)
+//   build(data)   { recipient, variables, channels? } for one message
+//   category      transactional (default), marketing, account, reply or
+//                 compliance: decides the consent it needs (utils/consent.js)
+//   sensitive     the text holds a secret (login code, account link)
+//   calendar      bookings to attach to emails as an .ics file, and
+//                 whether the email cancels them
+// Recipient is { name, phone, email, preferredChannel, language, userId }.
+// Date variables are Date objects, formatted in the message's language.
+
+const { getManageUrl } = require('../manageLinks');
+
+const bookingRecipient = (booking) => ({
+  name: booking.name,
+  phone: booking.phone,
+  email: booking.email,
+  preferredChannel: booking.preferredChannel,
+  language: booking.language,
+  userId: booking.userId
+});
+
+const bookingVariables = (booking) => ({
+  name: booking.name,
+  service: booking.service,
+  date: booking.date,
+  time: booking.timeSlot || booking.time
+});
+
+const BOOKING_PLACEHOLDERS = ['name', 'service', 'date', 'time'];
+
+const events = {
+  'booking.confirmed': {
+    placeholders: [...BOOKING_PLACEHOLDERS, 'manageUrl'],
+    subject: 'Your booking is confirmed',
+    body: 'Hi {{name}}! Your booking for {{service}} on {{date}} at {{time}} is confirmed! View, cancel or reschedule: {{manageUrl}} - {{salonName}}',
+    calendar: ({ booking }) => ({ bookings: [booking] }),
+    build: ({ booking }) => ({
+      recipient: bookingRecipient(booking),
+      variables: { ...bookingVariables(booking), manageUrl: getManageUrl(booking) }
+    })
+  },
+
+  'booking.cancelled': {
+    placeholders: BOOKING_PLACEHOLDERS,
+    subject: 'Your booking has been cancelled',
+    body: 'Hi {{name}}! Your booking for {{service}} on {{date}} at {{time}} has been cancelled. - {{salonName}}',
+    calendar: ({ booking }) => ({ bookings: [booking], cancelled: true }),
+    build: ({ booking }) => ({
+      recipient: bookingRecipient(booking),
+      variables: bookingVariables(booking)
+    })
+  },
+
+  'booking.completed': {
+    placeholders: BOOKING_PLACEHOLDERS,
+    subject: 'Thank you for visiting',
+    body: 'Hi {{name}}! Thank you for visiting us! Your {{service}} service on {{date}} at {{time}} is completed. We hope to see you again! - {{salonName}}',
+    build: ({ booking }) => ({
+      recipient: bookingRecipient(booking),
+      variables: bookingVariables(booking)
+    })
+  },
+
+  // Sent instead of booking.completed when the visit got a review link
+  'review.requested': {
+    placeholders: [...BOOKING_PLACEHOLDERS, 'reviewUrl'],
+    subject: 'Thank you for visiting',
+    body: 'Hi {{name}}! Thank you for visiting us! Your {{service}} service on {{date}} at {{time}} is completed. How did we do? Leave a review: {{reviewUrl}} We hope to see you again! - {{salonName}}',
+    build: ({ booking, reviewUrl }) => ({
+      recipient: bookingRecipient(booking),
+      variables: { ...bookingVariables(booking), reviewUrl } // single-use link, see utils/reviews.js
+    })
+  },
+
+  'booking.rescheduled': {
+    placeholders: [...BOOKING_PLACEHOLDERS, 'previousDate', 'previousTime', 'manageUrl'],
+    subject: 'Your booking has been rescheduled',
+    body: 'Hi {{name}}! Your booking for {{service}} has been rescheduled from {{previousDate}} at {{previousTime}} to {{date}} at {{time}}. Manage it here: {{manageUrl}} - {{salonName}}',
+    calendar: ({ booking }) => ({ bookings: [booking] }),
+    build: ({ booking, from }) => ({
+      recipient: bookingRecipient(booking),
+      variables: {
+        ...bookingVariables(booking),
+        previousDate: from.date,
+        previousTime: from.time,
+        manageUrl: getManageUrl(booking)
+      }
+    })
+  },
+
+  'booking.reminder': {
+    placeholders: [...BOOKING_PLACEHOLDERS, 'manageUrl'],
+    subject: 'Appointment reminder',
+    body: 'Reminder: Hi {{name}}! Your {{service}} appointment is on {{date}} at {{time}}. Need to change it? {{manageUrl}} - {{salonName}}',
+    build: ({ booking }) => ({
+      recipient: bookingRecipient(booking),
+      variables: { ...bookingVariables(booking), manageUrl: getManageUrl(booking) }
+    })
+  },
+
+  'booking.reschedule_link': {
+    placeholders: [...BOOKING_PLACEHOLDERS, 'manageUrl'],
+    subject: 'Reschedule your booking',
+    body: 'Hi {{name}}! To move your {{service}} appointment on {{date}} at {{time}}, pick a new time here: {{manageUrl}} - {{salonName}}',
+    build: ({ booking }) => ({
+      recipient: bookingRecipient(booking),
+      variables: { ...bookingVariables(booking), manageUrl: getManageUrl(booking) }
+    })
+  },
+
+  'series.confirmed': {
+    placeholders: ['name', 'service', 'time', 'count', 'firstDate', 'lastDate'],
+    subject: 'Your recurring bookings are confirmed',
+    body: 'Hi {{name}}! Your {{count}} recurring bookings for {{service}} at {{time}} from {{firstDate}} to {{lastDate}} are confirmed! - {{salonName}}',
+    calendar: ({ bookings }) => ({ bookings }),
+    build: ({ series, bookings }) => ({
+      recipient: bookingRecipient(bookings[0]),
+      variables: {
+        name: series.name,
+        service: series.service,
+        time: series.time,
+        count: bookings.length,
+        firstDate: bookings[0].date,
+        lastDate: bookings[bookings.length - 1].date
+      }
+    })
+  },
+
+  'series.cancelled': {
+    placeholders: ['name', 'service', 'count', 'firstDate', 'lastDate'],
+    subject: 'Your recurring bookings have been cancelled',
+    body: 'Hi {{name}}! Your {{count}} recurring bookings for {{service}} from {{firstDate}} to {{lastDate}} have been cancelled. - {{salonName}}',
+    calendar: ({ bookings }) => ({ bookings, cancelled: true }),
+    build: ({ bookings }) => ({
+      recipient: bookingRecipient(bookings[0]),
+      variables: {
+        name: bookings[0].name,
+        service: bookings[0].service,
+        count: bookings.length,
+        firstDate: bookings[0].date,
+        lastDate: bookings[bookings.length - 1].date
+      }
+    })
+  },
+
+  'waitlist.offered': {
+    placeholders: ['name', 'service', 'date', 'time', 'claimUrl', 'claimMinutes'],
+    subject: 'A slot just opened up',
+    body: 'Hi {{name}}! A slot for {{service}} on {{date}} at {{time}} just opened up. Claim it within {{claimMinutes}} minutes: {{claimUrl}} - {{salonName}}',
+    build: ({ entry, claimUrl, claimMinutes }) => ({
+      recipient: { name: entry.name, phone: entry.phone, email: entry.email, language: entry.language },
+      variables: {
+        name: entry.name,
+        service: entry.service,
+        date: entry.date,
+        time: entry.offeredTime,
+        claimUrl,
+        claimMinutes
+      }
+    })
+  },
+
+  // Reply to a WhatsApp message we couldn't act on
+  'inbound.unrecognized': {
+    category: 'reply',
+    placeholders: [],
+    subject: 'We got your message',
+    body: 'Thanks for your message! Our team will get back to you shortly. To manage your next appointment, reply CONFIRM, CANCEL or RESCHEDULE. Reply STOP to stop WhatsApp messages. - {{salonName}}',
+    build: ({ phone }) => ({
+      recipient: { phone },
+      channels: ['whatsapp'],
+      variables: {}
+    })
+  },
+
+  // Replies to STOP and START. The opt-out confirmation is the one message
+  // a suppressed number still gets.
+  'consent.opted_out': {
+    category: 'compliance',
+    placeholders: [],
+    subject: 'You have been unsubscribed',
+    body: 'You won\'t get any more WhatsApp messages from {{salonName}}. Reply START at any time to hear from us again.',
+    build: ({ phone }) => ({
+      recipient: { phone },
+      channels: ['whatsapp'],
+      variables: {}
+    })
+  },
+
+  'consent.opted_in': {
+    category: 'reply',
+    placeholders: [],
+    subject: 'You have been subscribed',
+    body: 'Thanks! You\'ll get booking updates from {{salonName}} on WhatsApp again. Reply STOP at any time to opt out.',
+    build: ({ phone }) => ({
+      recipient: { phone },
+      channels: ['whatsapp'],
+      variables: {}
+    })
+  },
+
+  'auth.otp': {
+    category: 'account',
+    sensitive: true,
+    placeholders: ['code', 'ttlMinutes'],
+    subject: 'Your login code',
+    body: '{{code}} is your {{salonName}} login code. It expires in {{ttlMinutes}} minutes.',
+    build: ({ phone, code, ttlMinutes, language }) => ({
+      recipient: { phone, language },
+      channels: ['sms'], // login codes always go by SMS
+      variables: { code, ttlMinutes }
+    })
+  },
+
+  'auth.verify_email': {
+    category: 'account',
+    sensitive: true,
+    placeholders: ['name', 'link', 'ttlHours'],
+    subject: 'Verify your email - {{salonName}}',
+    body: 'Hi {{name}},\n\nPlease verify your email address by opening this link:\n{{link}}\n\nThe link expires in {{ttlHours}} hours.',
+    build: ({ user, link, ttlHours }) => ({
+      recipient: { name: user.name, email: user.email, language: user.language },
+      channels: ['email'],
+      variables: { name: user.name, link, ttlHours }
+    })
+  },
+
+  'auth.password_reset': {
+    category: 'account',
+    sensitive: true,
+    placeholders: ['name', 'link', 'ttlMinutes'],
+    subject: 'Reset your password - {{salonName}}',
+    body: 'Hi {{name}},\n\nOpen this link to choose a new password:\n{{link}}\n\nThe link expires in {{ttlMinutes}} minutes. If you didn\'t ask for this, you can ignore this email.',
+    build: ({ user, link, ttlMinutes }) => ({
+      recipient: { name: user.name, email: user.email, language: user.language },
+      channels: ['email'],
+      variables: { name: user.name, link, ttlMinutes }
+    })
+  }
+};
+
+// Sample values for template previews
+const EXAMPLES = {
+  name: 'Priya',
+  service: 'Haircut',
+  date: new Date('2026-01-28T00:00:00.000Z'),
+  time: '11:00',
+  previousDate: new Date('2026-01-27T00:00:00.000Z'),
+  previousTime: '15:30',
+  manageUrl: 'https://example.com/manage-booking?token=…',
+  count: 4,
+  firstDate: new Date('2026-01-28T00:00:00.000Z'),
+  lastDate: new Date('2026-02-18T00:00:00.000Z'),
+  claimUrl: 'https://example.com/waitlist/claim?token=…',
+  claimMinutes: 30,
+  code: '482913',
+  ttlMinutes: 5,
+  ttlHours: 24,
+  link: 'https://example.com/verify-email?token=…',
+  reviewUrl: 'https://example.com/review?token=…'
+};
+
+module.exports = { events, EXAMPLES };
@@ -0,0 +1,200 @@
+// utils/notifications/queue.js
+//
+// Outbound message queue. notify() saves each message as an OutboundMessage
+// and returns; a background worker sends queued messages, retrying failures
+// with exponential backoff (1m, 2m, 4m, ... capped at an hour) until
+// NOTIFICATION_MAX_ATTEMPTS (default 5), after which the message is dead
+// and waits for an admin to resend it.
+//
+// Delivery is at least once: a worker that dies mid-send leaves the message
+// locked, and it's retried once the lock goes stale.
+//
+// Consent is checked again just before sending, so a STOP that arrives while
+// a message waits in the queue still stops it.
+
+const cron = require('node-cron');
+const OutboundMessage = require('../../models/OutboundMessage');
+const { send } = require('./channels');
+const { checkConsent } = require('../consent');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const BASE_DELAY_MS = 60 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const LOCK_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+/**
+ * Delay before the next attempt after a failed one
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+const backoff = (attempts) => Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+
+/**
+ * Save a message for the worker to send
+ * @param {Object} message - { event, category, channel, recipient, bookingId, language, subject, text, html, attachments }
+ * @returns {Promise<Object>} The OutboundMessage
+ */
+const enqueue = (message) => OutboundMessage.create({ ...message, maxAttempts: MAX_ATTEMPTS });
+
+/**
+ * Send one claimed message and record the outcome
+ * @param {Object} message - OutboundMessage in the sending state
+ * @returns {Promise<Object>} The updated OutboundMessage
+ */
+const deliver = async (message) => {
+  const now = new Date();
+
+  const consent = await checkConsent(message.category, message.channel, message.recipient, now);
+  if (!consent.allowed) {
+    console.log(`🚫 ${message.event} ${message.channel} message suppressed: ${consent.reason}`);
+
+    return OutboundMessage.findOneAndUpdate(
+      { _id: message._id, status: 'sending' },
+      {
+        $set: {
+          status: 'suppressed',
+          suppressedReason: consent.reason,
+          ...(message.sensitive && { text: '[redacted]' })
+        },
+        $unset: { lockedAt: 1, ...(message.sensitive && { html: 1, attachments: 1 }) }
+      },
+      { new: true }
+    );
+  }
+
+  try {
+    const { provider, providerMessageId } = await send(message.channel, message.recipient, {
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments: message.attachments,
+      sensitive: message.sensitive
+    });
+
+    console.log(`✅ ${message.event} sent by ${message.channel} to ${message.channel === 'email' ? message.recipient.email : message.recipient.phone}`);
+
+    return OutboundMessage.findOneAndUpdate(
+      { _id: message._id, status: 'sending' },
+      {
+        $set: {
+          status: 'sent',
+          sentAt: now,
+          provider,
+          providerMessageId,
+          ...(message.sensitive && { text: '[redacted]' })
+        },
+        $unset: { lockedAt: 1, lastError: 1, ...(message.sensitive && { html: 1, attachments: 1 }) },
+        $push: { attemptLog: { at: now } }
+      },
+      { new: true }
+    );
+  } catch (error) {
+    const dead = message.attempts >= message.maxAttempts;
+    console.error(`❌ ${message.event} ${message.channel} error (attempt ${message.attempts}/${message.maxAttempts}):`, error.message);
+
+    return OutboundMessage.findOneAndUpdate(
+      { _id: message._id, status: 'sending' },
+      {
+        $set: {
+          status: dead ? 'dead' : 'failed',
+          lastError: error.message,
+          nextAttemptAt: new Date(now.getTime() + backoff(message.attempts))
+        },
+        $unset: { lockedAt: 1 },
+        $push: { attemptLog: { at: now, error: error.message } }
+      },
+      { new: true }
+    );
+  }
+};
+
+/**
+ * Claim a message for sending, so no other worker picks it up
+ * @param {Object} filter
+ * @returns {Promise<Object|null>}
+ */
+const claim = (filter) => OutboundMessage.findOneAndUpdate(
+  filter,
+  { $set: { status: 'sending', lockedAt: new Date() }, $inc: { attempts: 1 } },
+  { new: true, sort: { nextAttemptAt: 1 } }
+);
+
+/**
+ * Try to send a queued message straight away, leaving it to the worker if that fails
+ * @param {Object} message - OutboundMessage
+ * @returns {Promise<Object>} The updated OutboundMessage
+ */
+const sendNow = async (message) => {
+  const claimed = await claim({ _id: message._id, status: 'queued' });
+  return claimed ? deliver(claimed) : message;
+};
+
+/**
+ * Send messages that are due, oldest first
+ * @returns {Promise<number>} Number of messages attempted
+ */
+const processQueue = async () => {
+  const now = new Date();
+
+  // Release messages whose worker died mid-send
+  await OutboundMessage.updateMany(
+    { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - LOCK_MS) } },
+    { $set: { status: 'failed', lastError: 'Send interrupted' }, $unset: { lockedAt: 1 } }
+  );
+
+  let attempted = 0;
+  while (attempted < BATCH_SIZE) {
+    const message = await claim({ status: { $in: ['queued', 'failed'] }, nextAttemptAt: { $lte: now } });
+    if (!message) break;
+
+    await deliver(message);
+    attempted++;
+  }
+
+  return attempted;
+};
+
+/**
+ * Put a failed or dead message back in the queue with fresh attempts
+ * @param {string} id - OutboundMessage ID
+ * @param {string} [userId] - Admin who asked for the resend
+ * @returns {Promise<Object|null>} The message, or null if it isn't failed or dead
+ */
+const requeue = (id, userId) => OutboundMessage.findOneAndUpdate(
+  { _id: id, status: { $in: ['failed', 'dead'] } },
+  {
+    $set: { status: 'queued', attempts: 0, maxAttempts: MAX_ATTEMPTS, nextAttemptAt: new Date(), resentBy: userId },
+    $unset: { lastError: 1 }
+  },
+  { new: true }
+);
+
+let running = false;
+
+/**
+ * Run the worker every 10 seconds
+ * @returns {Object} The scheduled cron task
+ */
+const start = () => cron.schedule('*/10 * * * * *', async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await processQueue();
+  } catch (error) {
+    console.error('❌ Message queue error:', error.message);
+  } finally {
+    running = false;
+  }
+});
+
+module.exports = {
+  MAX_ATTEMPTS,
+  backoff,
+  enqueue,
+  sendNow,
+  processQueue,
+  requeue,
+  start
+};
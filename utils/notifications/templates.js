@@ -0,0 +1,96 @@
+// utils/notifications/templates.js
+//
+// Turns an event's variables into message text. The wording comes from the
+// stored template for the event and language, then the stored template in
+// DEFAULT_LANGUAGE, then the built-in text in messages.js.
+
+const MessageTemplate = require('../../models/MessageTemplate');
+const { DEFAULT_LANGUAGE, localeFor } = require('../../config/languages');
+const { formatDateForWhatsApp } = require('../bookings');
+const { events } = require('./messages');
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+const salonName = () => process.env.SALON_NAME || 'Luxe Beauty Studio';
+
+// Dates are stored as UTC midnight, so format them in UTC
+const formatValue = (value, language) => {
+  if (!(value instanceof Date)) return value === undefined || value === null ? '' : String(value);
+  if (language === 'en') return formatDateForWhatsApp(value);
+  return value.toLocaleDateString(localeFor(language), {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+};
+
+/**
+ * Fill in {{placeholders}} in a template string
+ * Unknown placeholders are left empty.
+ * @param {string} template
+ * @param {Object} variables
+ * @param {string} [language]
+ * @returns {string}
+ */
+const renderString = (template, variables, language = DEFAULT_LANGUAGE) => {
+  if (!template) return template;
+  const values = { salonName: salonName(), ...variables };
+  return template.replace(PLACEHOLDER, (match, key) => formatValue(values[key], language));
+};
+
+/**
+ * Find placeholders a template uses that its event doesn't provide
+ * @param {string} event
+ * @param {...string} strings - Subject, body
+ * @returns {Array}
+ */
+const unknownPlaceholders = (event, ...strings) => {
+  const allowed = ['salonName', ...events[event].placeholders];
+  const used = strings.filter(Boolean).flatMap(s => [...s.matchAll(PLACEHOLDER)].map(m => m[1]));
+  return [...new Set(used)].filter(key => !allowed.includes(key));
+};
+
+/**
+ * Get the wording for an event in a language
+ * @param {string} event
+ * @param {string} [language]
+ * @returns {Promise<{ subject, body, language, source }>} source is "stored" or "default"
+ */
+const getTemplate = async (event, language = DEFAULT_LANGUAGE) => {
+  const languages = [...new Set([language, DEFAULT_LANGUAGE])];
+  const stored = await MessageTemplate.find({ event, language: { $in: languages }, active: true });
+
+  for (const lang of languages) {
+    const template = stored.find(t => t.language === lang);
+    if (template) {
+      return { subject: template.subject, body: template.body, language: lang, source: 'stored' };
+    }
+  }
+
+  return { subject: events[event].subject, body: events[event].body, language: 'en', source: 'default' };
+};
+
+/**
+ * Render an event's message
+ * @param {string} event
+ * @param {Object} variables
+ * @param {string} [language]
+ * @returns {Promise<{ subject, text, language }>}
+ */
+const renderMessage = async (event, variables, language) => {
+  const template = await getTemplate(event, language);
+  return {
+    subject: renderString(template.subject || events[event].subject, variables, template.language),
+    text: renderString(template.body, variables, template.language),
+    language: template.language
+  };
+};
+
+module.exports = {
+  renderString,
+  unknownPlaceholders,
+  getTemplate,
+  renderMessage
+};
@@ -0,0 +1,86 @@
+// utils/otp.js
+
+const crypto = require('crypto');
+const OtpCode = require('../models/OtpCode');
+const { notify } = require('./notifications');
+
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES, 10) || 5;
+const OTP_RESEND_SECONDS = 60;
+const OTP_MAX_ATTEMPTS = 5;
+
+const otpError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Codes are hashed with their phone so a hash can't be replayed for another number
+const hashCode = (phone, code) =>
+  crypto.createHash('sha256').update(`${phone}:${code}`).digest('hex');
+
+/**
+ * Send a new login code to a phone number
+ * @param {string} phone - 10-digit phone number
+ * @returns {Promise<{ expiresAt: Date }>}
+ * @throws {Error} With statusCode 429 when a code was sent too recently, 503 when it couldn't be sent
+ */
+const requestOtp = async (phone) => {
+  const recent = await OtpCode.findOne({
+    phone,
+    createdAt: { $gt: new Date(Date.now() - OTP_RESEND_SECONDS * 1000) }
+  });
+
+  if (recent) {
+    throw otpError(`Please wait ${OTP_RESEND_SECONDS} seconds before requesting another code`, 429);
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+
+  // A new code replaces any earlier one
+  await OtpCode.updateMany({ phone, consumedAt: null }, { $set: { consumedAt: new Date() } });
+  await OtpCode.create({ phone, codeHash: hashCode(phone, code), expiresAt });
+
+  // Sent straight away; a failed attempt is retried by the message queue
+  const results = await notify('auth.otp', { phone, code, ttlMinutes: OTP_TTL_MINUTES }, { immediate: true });
+  if (!results.some(result => result.status !== 'suppressed')) {
+    throw otpError('Could not send the login code. Please try again.', 503);
+  }
+
+  return { expiresAt };
+};
+
+/**
+ * Check a login code, using it up if it matches
+ * @param {string} phone
+ * @param {string} code
+ * @throws {Error} With statusCode 400 when the code is wrong, expired or used up
+ */
+const verifyOtp = async (phone, code) => {
+  const otp = await OtpCode.findOne({
+    phone,
+    consumedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).select('+codeHash').sort({ createdAt: -1 });
+
+  if (!otp || otp.attempts >= OTP_MAX_ATTEMPTS) {
+    throw otpError('Code is invalid or has expired. Please request a new one.');
+  }
+
+  if (otp.codeHash !== hashCode(phone, code)) {
+    await OtpCode.updateOne({ _id: otp._id }, { $inc: { attempts: 1 } });
+    throw otpError('Incorrect code');
+  }
+
+  // Use the code up in one step so it can't be redeemed twice
+  const { modifiedCount } = await OtpCode.updateOne(
+    { _id: otp._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+
+  if (!modifiedCount) {
+    throw otpError('Code is invalid or has expired. Please request a new one.');
+  }
+};
+
+module.exports = { OTP_TTL_MINUTES, requestOtp, verifyOtp };
@@ -0,0 +1,66 @@
+// utils/rateStore.js
+//
+// Counter store behind rate limiting and duplicate detection. The default
+// keeps everything in process memory, which is fine for a single instance;
+// run several instances behind a load balancer and plug in a shared store
+// (e.g. Redis) with setStore(). A store implements:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//   setIfAbsent(key, ttlMs)  -> Promise<boolean> (false if the key exists)
+//   delete(key)              -> Promise<void>
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+  const entries = new Map(); // key -> { count, resetAt }
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  // Drop expired keys now and then so memory doesn't grow with every IP seen
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const entry = live(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async setIfAbsent(key, ttlMs) {
+      if (live(key)) return false;
+      entries.set(key, { count: 1, resetAt: Date.now() + ttlMs });
+      return true;
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+};
+
+let store = createMemoryStore();
+
+/**
+ * Replace the store (see the interface above)
+ * @param {Object} newStore
+ */
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+const getStore = () => store;
+
+module.exports = { createMemoryStore, setStore, getStore };
@@ -0,0 +1,164 @@
+// utils/reminders.js
+//
+// Appointment reminders, sent REMINDER_OFFSETS before each confirmed booking
+// (comma-separated, e.g. "24h,2h" or "1d,90m"; default "24h,2h").
+// A booking made after a reminder fell due doesn't get that reminder, and when
+// several are due at once only the closest to the appointment is sent.
+
+const cron = require('node-cron');
+const Booking = require('../models/Booking');
+const Reminder = require('../models/Reminder');
+const { toSalonInstant } = require('./time');
+const { notify } = require('./notifications');
+
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60 };
+
+/**
+ * Parse reminder offsets like "24h,2h" into minutes, largest first
+ * @param {string} value
+ * @returns {Array<number>}
+ */
+const parseOffsets = (value) => [...new Set(value
+  .split(',')
+  .map(part => part.trim().match(/^(\d+)\s*([mhd])$/i))
+  .filter(Boolean)
+  .map(([, amount, unit]) => Number(amount) * UNIT_MINUTES[unit.toLowerCase()])
+  .filter(minutes => minutes > 0))]
+  .sort((a, b) => b - a);
+
+const REMINDER_OFFSETS = parseOffsets(process.env.REMINDER_OFFSETS || '24h,2h');
+
+/**
+ * Label an offset in minutes, e.g. 120 -> "2h"
+ * @param {number} minutes
+ * @returns {string}
+ */
+const formatOffset = (minutes) =>
+  (minutes % UNIT_MINUTES.h === 0 ? `${minutes / UNIT_MINUTES.h}h` : `${minutes}m`);
+
+/**
+ * Get confirmed bookings starting between two instants, with their start times
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Array<{ booking, appointmentAt }>>}
+ */
+const findBookingsStarting = async (from, to) => {
+  // Dates are UTC midnight and the salon may be ahead of or behind UTC,
+  // so widen the date range by a day each side and filter on the real start
+  const day = 24 * 60 * 60 * 1000;
+  const bookings = await Booking.find({
+    status: 'confirmed',
+    date: { $gte: new Date(from.getTime() - day), $lte: new Date(to.getTime() + day) }
+  });
+
+  return bookings
+    .map(booking => ({ booking, appointmentAt: toSalonInstant(booking.date, booking.timeSlot || booking.time) }))
+    .filter(({ appointmentAt }) => appointmentAt > from && appointmentAt <= to)
+    .sort((a, b) => a.appointmentAt - b.appointmentAt);
+};
+
+/**
+ * Pick the reminder to send now for a booking, if any
+ * @param {Object} booking
+ * @param {Date} appointmentAt
+ * @param {Date} now
+ * @returns {number|undefined} Offset in minutes
+ */
+const dueOffset = (booking, appointmentAt, now) => REMINDER_OFFSETS
+  .filter(offset => {
+    const dueAt = new Date(appointmentAt.getTime() - offset * 60 * 1000);
+    return dueAt <= now && dueAt >= booking.createdAt;
+  })
+  .pop(); // the smallest
+
+/**
+ * Send the reminders that are due
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const sendDueReminders = async () => {
+  if (!REMINDER_OFFSETS.length) return 0;
+
+  const now = new Date();
+  const horizon = new Date(now.getTime() + REMINDER_OFFSETS[0] * 60 * 1000);
+  let sent = 0;
+
+  for (const { booking, appointmentAt } of await findBookingsStarting(now, horizon)) {
+    const offsetMinutes = dueOffset(booking, appointmentAt, now);
+    if (!offsetMinutes) continue;
+
+    // Claim the reminder first; a duplicate key means it was already handled
+    let reminder;
+    try {
+      reminder = await Reminder.create({
+        bookingId: booking._id,
+        offsetMinutes,
+        appointmentAt,
+        dueAt: new Date(appointmentAt.getTime() - offsetMinutes * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    const results = await notify('booking.reminder', { booking });
+    const queued = results.some(result => result.status !== 'suppressed');
+
+    await Reminder.updateOne(
+      { _id: reminder._id },
+      { $set: queued ? { status: 'sent', results, sentAt: new Date() } : { status: 'failed', results } }
+    );
+
+    if (queued) sent++;
+  }
+
+  return sent;
+};
+
+/**
+ * List the reminders that will go out before a given time
+ * @param {Date} until
+ * @returns {Promise<Array>}
+ */
+const getUpcomingReminders = async (until) => {
+  if (!REMINDER_OFFSETS.length) return [];
+
+  const now = new Date();
+  const lastStart = new Date(until.getTime() + REMINDER_OFFSETS[0] * 60 * 1000);
+  const upcoming = [];
+
+  for (const { booking, appointmentAt } of await findBookingsStarting(now, lastStart)) {
+    for (const offsetMinutes of REMINDER_OFFSETS) {
+      const dueAt = new Date(appointmentAt.getTime() - offsetMinutes * 60 * 1000);
+      if (dueAt > now && dueAt <= until && dueAt >= booking.createdAt) {
+        upcoming.push({ booking, appointmentAt, offsetMinutes, dueAt });
+      }
+    }
+  }
+
+  return upcoming.sort((a, b) => a.dueAt - b.dueAt);
+};
+
+/**
+ * Check for due reminders every minute
+ * @returns {Object} The scheduled cron task
+ */
+const start = () => cron.schedule('* * * * *', async () => {
+  try {
+    const sent = await sendDueReminders();
+    if (sent) {
+      console.log(`⏰ Sent ${sent} appointment reminder(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Reminder scheduler error:', error.message);
+  }
+});
+
+module.exports = {
+  REMINDER_OFFSETS,
+  parseOffsets,
+  formatOffset,
+  dueOffset,
+  sendDueReminders,
+  getUpcomingReminders,
+  start
+};
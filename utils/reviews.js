@@ -0,0 +1,68 @@
+// utils/reviews.js
+//
+// Verified reviews. When a booking is completed the customer is sent a
+// review link carrying a random token; only its hash is kept on the booking.
+// A review left through the link is tied to the booking, so it is one per
+// visit and marked verified. The link stops working once used, or after
+// REVIEW_LINK_DAYS (default 30).
+
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Review = require('../models/Review');
+const { hashToken } = require('./tokens');
+
+const REVIEW_LINK_DAYS = parseInt(process.env.REVIEW_LINK_DAYS, 10) || 30;
+
+const getReviewUrl = (token) =>
+  `${process.env.FRONTEND_URL || 'https://beauty-parlour-delta.vercel.app'}/review?token=${token}`;
+
+/**
+ * Issue a review link for a completed booking, replacing any earlier one
+ * @param {Object} booking - Booking document
+ * @returns {Promise<string|null>} The link, or null if the booking isn't completed
+ *   or already has a review
+ */
+const createReviewLink = async (booking) => {
+  if (await Review.exists({ bookingId: booking._id })) return null;
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const updated = await Booking.updateOne(
+    { _id: booking._id, status: 'completed' },
+    {
+      $set: {
+        reviewTokenHash: hashToken(token),
+        reviewLinkExpiresAt: new Date(Date.now() + REVIEW_LINK_DAYS * 24 * 60 * 60 * 1000)
+      }
+    }
+  );
+
+  return updated.matchedCount ? getReviewUrl(token) : null;
+};
+
+/**
+ * Find the booking a review link was issued for
+ * @param {string} token
+ * @returns {Promise<Object|null>} null if the link is invalid, used or expired
+ */
+const findReviewBooking = (token) => Booking.findOne({
+  reviewTokenHash: hashToken(String(token || '')),
+  reviewLinkExpiresAt: { $gt: new Date() },
+  status: 'completed'
+});
+
+/**
+ * Stop a review link from working, once the review has been left
+ * @param {Object} booking
+ */
+const useReviewLink = (booking) => Booking.updateOne(
+  { _id: booking._id },
+  { $unset: { reviewTokenHash: 1, reviewLinkExpiresAt: 1 } }
+);
+
+module.exports = {
+  REVIEW_LINK_DAYS,
+  createReviewLink,
+  findReviewBooking,
+  useReviewLink
+};
@@ -0,0 +1,153 @@
+// utils/schedule.js
+
+const Schedule = require('../models/Schedule');
+const Holiday = require('../models/Holiday');
+const { toMinutes, toTime, getDayRange, overlaps } = require('./time');
+
+// Used until an admin saves a schedule: open every day 09:00-19:00
+const DEFAULT_SLOT_INTERVAL = 30; // minutes
+const DEFAULT_WEEKLY_HOURS = [0, 1, 2, 3, 4, 5, 6].map(day => ({
+  day,
+  closed: false,
+  open: '09:00',
+  close: '19:00',
+  breaks: []
+}));
+
+/**
+ * Get the salon schedule, falling back to the defaults when none is saved
+ * @returns {Promise<{ weeklyHours: Array, slotInterval: number }>}
+ */
+const getSchedule = async () => {
+  const schedule = await Schedule.findOne().lean();
+
+  return {
+    weeklyHours: schedule?.weeklyHours?.length ? schedule.weeklyHours : DEFAULT_WEEKLY_HOURS,
+    slotInterval: schedule?.slotInterval || DEFAULT_SLOT_INTERVAL
+  };
+};
+
+/**
+ * Work out the effective opening hours for a single date
+ * A holiday entry for the date overrides the weekday's regular hours.
+ * @param {Date|string} date
+ * @returns {Promise<{ date: string, closed: boolean, open?: string, close?: string,
+ *   breaks: Array, slotInterval: number, reason?: string }>}
+ */
+const getDaySchedule = async (date) => {
+  const { startOfDay, endOfDay } = getDayRange(date);
+
+  const [schedule, holiday] = await Promise.all([
+    getSchedule(),
+    Holiday.findOne({ date: { $gte: startOfDay, $lte: endOfDay } }).lean()
+  ]);
+
+  const base = {
+    date: startOfDay.toISOString().split('T')[0],
+    slotInterval: schedule.slotInterval
+  };
+
+  if (holiday) {
+    if (holiday.closed) {
+      return { ...base, closed: true, breaks: [], reason: holiday.reason };
+    }
+    return {
+      ...base,
+      closed: false,
+      open: holiday.open,
+      close: holiday.close,
+      breaks: holiday.breaks || [],
+      reason: holiday.reason
+    };
+  }
+
+  const hours = schedule.weeklyHours.find(h => h.day === startOfDay.getUTCDay());
+
+  if (!hours || hours.closed) {
+    return { ...base, closed: true, breaks: [] };
+  }
+
+  return {
+    ...base,
+    closed: false,
+    open: hours.open,
+    close: hours.close,
+    breaks: hours.breaks || []
+  };
+};
+
+/**
+ * Check whether a booking fits inside opening hours without running into a break
+ * or an admin-blocked period
+ * @param {Object} daySchedule - From getDaySchedule, optionally with blocks: [{ start, end }]
+ * @param {string} time - Start time "HH:MM"
+ * @param {number} length - Minutes the booking occupies
+ * @returns {boolean}
+ */
+const isWithinSchedule = (daySchedule, time, length) => {
+  if (daySchedule.closed) return false;
+
+  const start = toMinutes(time);
+  const interval = { start, end: start + length };
+
+  return (
+    toMinutes(daySchedule.open) <= interval.start &&
+    interval.end <= toMinutes(daySchedule.close) &&
+    ![...daySchedule.breaks, ...(daySchedule.blocks || [])]
+      .some(b => overlaps({ start: toMinutes(b.start), end: toMinutes(b.end) }, interval))
+  );
+};
+
+/**
+ * List the start times on the slot grid where a booking of the given length fits
+ * @param {Object} daySchedule - From getDaySchedule
+ * @param {number} [length] - Minutes the booking occupies; defaults to one slot
+ * @returns {string[]} Start times in "HH:MM"
+ */
+const generateStartTimes = (daySchedule, length = daySchedule.slotInterval) => {
+  if (daySchedule.closed) return [];
+
+  const times = [];
+  const closing = toMinutes(daySchedule.close);
+
+  for (let start = toMinutes(daySchedule.open); start + length <= closing; start += daySchedule.slotInterval) {
+    if (isWithinSchedule(daySchedule, toTime(start), length)) {
+      times.push(toTime(start));
+    }
+  }
+
+  return times;
+};
+
+/**
+ * Validate a day's hours: opening before closing and breaks inside them
+ * @param {{ open: string, close: string, breaks?: Array }} hours
+ * @returns {string|null} An error message, or null when valid
+ */
+const validateHours = ({ open, close, breaks = [] }) => {
+  if (!open || !close) {
+    return 'Opening and closing times are required';
+  }
+  if (toMinutes(open) >= toMinutes(close)) {
+    return `Opening time ${open} must be before closing time ${close}`;
+  }
+  const invalidBreak = breaks.find(b =>
+    toMinutes(b.start) >= toMinutes(b.end) ||
+    toMinutes(b.start) < toMinutes(open) ||
+    toMinutes(b.end) > toMinutes(close)
+  );
+  if (invalidBreak) {
+    return `Break ${invalidBreak.start}-${invalidBreak.end} must fall within opening hours`;
+  }
+  return null;
+};
+
+module.exports = {
+  DEFAULT_SLOT_INTERVAL,
+  DEFAULT_WEEKLY_HOURS,
+  getSchedule,
+  getDaySchedule,
+  isWithinSchedule,
+  generateStartTimes,
+  validateHours
+};
@@ -0,0 +1,104 @@
+// utils/time.js
+
+// Booking dates are stored as UTC midnight and times as the salon's wall clock
+const SALON_TIMEZONE = process.env.SALON_TIMEZONE || 'Asia/Kolkata';
+
+/**
+ * Convert "HH:MM" into minutes since midnight
+ * @param {string} time
+ * @returns {number}
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight into "HH:MM"
+ * @param {number} minutes
+ * @returns {string}
+ */
+const toTime = (minutes) => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mins = String(minutes % 60).padStart(2, '0');
+  return `${hours}:${mins}`;
+};
+
+/**
+ * Get the UTC start and end of the day a booking date falls on
+ * @param {Date|string} date
+ * @returns {{ startOfDay: Date, endOfDay: Date }}
+ */
+const getDayRange = (date) => {
+  const startOfDay = new Date(date);
+  startOfDay.setUTCHours(0, 0, 0, 0);
+  const endOfDay = new Date(date);
+  endOfDay.setUTCHours(23, 59, 59, 999);
+  return { startOfDay, endOfDay };
+};
+
+/**
+ * Check whether two half-open intervals [start, end) overlap
+ */
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Get the instant a booking date and "HH:MM" time refer to in the salon's timezone
+ * @param {Date|string} date - Booking date (UTC midnight)
+ * @param {string} time - "HH:MM"
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+const toSalonInstant = (date, time, timeZone = SALON_TIMEZONE) => {
+  const day = new Date(date).toISOString().split('T')[0];
+  const wallClock = new Date(`${day}T${time}:00.000Z`);
+
+  // Read the same instant back in the salon's timezone to find its UTC offset
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(wallClock);
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  const zoned = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+
+  return new Date(wallClock.getTime() - (zoned - wallClock.getTime()));
+};
+
+/**
+ * Read an instant on the salon's wall clock
+ * @param {Date} instant
+ * @param {string} [timeZone]
+ * @returns {{ date: string, time: string }} "YYYY-MM-DD" and "HH:MM"
+ */
+const toSalonWallClock = (instant, timeZone = SALON_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(instant);
+  const get = (type) => parts.find(p => p.type === type).value;
+
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    time: `${get('hour')}:${get('minute')}`
+  };
+};
+
+module.exports = {
+  SALON_TIMEZONE,
+  toMinutes,
+  toTime,
+  getDayRange,
+  overlaps,
+  toSalonInstant,
+  toSalonWallClock
+};
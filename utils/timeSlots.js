@@ -0,0 +1,203 @@
+// utils/timeSlots.js
+//
+// TimeSlot documents are a per-day snapshot of the slot grid. Admin blocks are
+// stored there; everything else (available / bookedBy) is derived from the
+// schedule and bookings, so it can always be rebuilt with syncTimeSlot.
+
+const TimeSlot = require('../models/TimeSlot');
+const { toMinutes, getDayRange, overlaps } = require('./time');
+const { generateStartTimes, isWithinSchedule } = require('./schedule');
+const {
+  getBookingInterval,
+  findFreeResource,
+  isBlockedSlot,
+  loadDayResources
+} = require('./availability');
+
+/**
+ * Work out what a day's slot entries should be
+ * @param {Date} date - UTC midnight of the day
+ * @param {Array} currentSlots - Lean slot entries currently stored (for blocks)
+ * @returns {Promise<Array<{ time: string, available: boolean, blocked: boolean, bookedBy: ObjectId|null }>>}
+ */
+const buildExpectedSlots = async (date, currentSlots = []) => {
+  const { daySchedule, resources } = await loadDayResources(date);
+  const bookings = resources.flatMap(r => r.bookings);
+  const slotLength = daySchedule.slotInterval;
+
+  const blockedTimes = new Set(currentSlots.filter(isBlockedSlot).map(s => s.time));
+
+  // Grid times, plus blocks and bookings that start off the grid
+  const times = new Set(generateStartTimes({ ...daySchedule, blocks: [] }));
+  bookings.forEach(b => times.add(b.timeSlot || b.time));
+  blockedTimes.forEach(time => times.add(time));
+
+  return [...times]
+    .filter(time => /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(time))
+    .sort()
+    .map(time => {
+      const start = toMinutes(time);
+      const interval = { start, end: start + slotLength };
+      const booking = bookings.find(b => overlaps(getBookingInterval(b), interval));
+      const blocked = blockedTimes.has(time);
+      const available = !blocked &&
+        isWithinSchedule(daySchedule, time, slotLength) &&
+        Boolean(findFreeResource(resources, date, time, slotLength));
+
+      return { time, available, blocked, bookedBy: booking?._id || null };
+    });
+};
+
+/**
+ * List differences between stored and expected slot entries
+ * @returns {Array<{ time: string, issue: string, stored?: Object, expected?: Object }>}
+ */
+const compareSlots = (storedSlots, expectedSlots) => {
+  const issues = [];
+  const stored = new Map(storedSlots.map(s => [s.time, s]));
+  const expected = new Map(expectedSlots.map(s => [s.time, s]));
+
+  expectedSlots.forEach(slot => {
+    const current = stored.get(slot.time);
+    if (!current) {
+      issues.push({ time: slot.time, issue: 'missing', expected: slot });
+      return;
+    }
+    const mismatched =
+      current.available !== slot.available ||
+      Boolean(current.blocked) !== slot.blocked ||
+      String(current.bookedBy || '') !== String(slot.bookedBy || '');
+    if (mismatched) {
+      issues.push({
+        time: slot.time,
+        issue: 'mismatch',
+        stored: { available: current.available, blocked: current.blocked, bookedBy: current.bookedBy || null },
+        expected: slot
+      });
+    }
+  });
+
+  storedSlots
+    .filter(slot => !expected.has(slot.time))
+    .forEach(slot => issues.push({ time: slot.time, issue: 'unexpected', stored: slot }));
+
+  return issues;
+};
+
+/**
+ * Work out a day's slot entries without writing anything
+ * Blocks come from the stored TimeSlot document; a stale document is left
+ * for syncTimeSlot / repairTimeSlots to fix.
+ * @param {Date|string} date
+ * @returns {Promise<Array>} Slot entries, as from buildExpectedSlots
+ */
+const getDaySlots = async (date) => {
+  const { startOfDay, endOfDay } = getDayRange(date);
+  const slotDoc = await TimeSlot.findOne({ date: { $gte: startOfDay, $lte: endOfDay } }).lean();
+  return buildExpectedSlots(startOfDay, slotDoc?.slots || []);
+};
+
+/**
+ * Check a day's TimeSlot document against bookings and the schedule, and fix it
+ * Creates the document if the day has slots but none is stored yet.
+ * @param {Date|string} date
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report, don't write
+ * @returns {Promise<{ date: string, issues: Array, repaired: boolean, slots: Array }>}
+ */
+const syncTimeSlot = async (date, { dryRun = false } = {}) => {
+  const { startOfDay, endOfDay } = getDayRange(date);
+  const slotDoc = await TimeSlot.findOne({ date: { $gte: startOfDay, $lte: endOfDay } }).lean();
+  const storedSlots = slotDoc?.slots || [];
+
+  const expectedSlots = await buildExpectedSlots(startOfDay, storedSlots);
+  const issues = compareSlots(storedSlots, expectedSlots);
+
+  let repaired = false;
+  if (!dryRun && issues.length) {
+    if (slotDoc) {
+      await TimeSlot.updateOne({ _id: slotDoc._id }, { $set: { slots: expectedSlots } });
+    } else {
+      await TimeSlot.create({ date: startOfDay, slots: expectedSlots });
+    }
+    repaired = true;
+  }
+
+  return {
+    date: startOfDay.toISOString().split('T')[0],
+    issues,
+    repaired,
+    slots: repaired || !slotDoc ? expectedSlots : storedSlots
+  };
+};
+
+/**
+ * Run syncTimeSlot over every stored TimeSlot document in a date range
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Defaults to today
+ * @param {Date} [options.to]
+ * @param {boolean} [options.dryRun=false]
+ * @returns {Promise<{ checked: number, inconsistent: number, repaired: number, days: Array }>}
+ */
+const repairTimeSlots = async ({ from, to, dryRun = false } = {}) => {
+  const fromDate = from ? new Date(from) : new Date();
+  fromDate.setUTCHours(0, 0, 0, 0);
+
+  const query = { date: { $gte: fromDate } };
+  if (to) {
+    query.date.$lte = getDayRange(to).endOfDay;
+  }
+
+  const slotDocs = await TimeSlot.find(query).select('date').sort({ date: 1 }).lean();
+
+  const days = [];
+  for (const slotDoc of slotDocs) {
+    const { slots, ...report } = await syncTimeSlot(slotDoc.date, { dryRun });
+    if (report.issues.length) {
+      days.push(report);
+    }
+  }
+
+  return {
+    checked: slotDocs.length,
+    inconsistent: days.length,
+    repaired: days.filter(d => d.repaired).length,
+    days
+  };
+};
+
+/**
+ * Block or unblock a slot for everyone, then refresh the day's derived fields
+ * @param {Date} date - UTC midnight of the day
+ * @param {string} time - Slot start "HH:MM"
+ * @param {boolean} blocked
+ * @returns {Promise<Object>} Result of syncTimeSlot
+ */
+const setSlotBlocked = async (date, time, blocked) => {
+  const { startOfDay, endOfDay } = getDayRange(date);
+  const slotDoc = await TimeSlot.findOne({ date: { $gte: startOfDay, $lte: endOfDay } });
+
+  if (slotDoc) {
+    const slot = slotDoc.slots.find(s => s.time === time);
+    if (slot) {
+      slot.blocked = blocked;
+      slot.available = !blocked;
+    } else if (blocked) {
+      slotDoc.slots.push({ time, blocked: true, available: false });
+    }
+    await slotDoc.save();
+  } else if (blocked) {
+    await TimeSlot.create({ date: startOfDay, slots: [{ time, blocked: true, available: false }] });
+  }
+
+  return syncTimeSlot(startOfDay);
+};
+
+module.exports = {
+  buildExpectedSlots,
+  compareSlots,
+  getDaySlots,
+  syncTimeSlot,
+  repairTimeSlots,
+  setSlotBlocked
+};
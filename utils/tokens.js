@@ -0,0 +1,211 @@
+// utils/tokens.js
+//
+// Access and refresh tokens. Access tokens are short-lived JWTs naming their
+// session; refresh tokens are "<sessionId>.<random>" and are stored hashed.
+// Also single-use tokens emailed for password resets and email verification.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const unauthorized = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign an access token for a user's session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {string}
+ */
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    { id: user._id, role: user.role, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+/**
+ * Start a session and issue its first token pair
+ * @param {Object} user - User document
+ * @param {Object} [req] - Express request, to record the device
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: string }>}
+ */
+const issueTokens = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    expiresAt: refreshExpiry(),
+    userAgent: req?.get('user-agent')?.slice(0, 500),
+    ip: req?.ip
+  });
+
+  const refreshToken = `${session._id}.${crypto.randomBytes(32).toString('hex')}`;
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+/**
+ * Swap a refresh token for a new token pair
+ * Presenting an already-rotated refresh token means it was copied, so the
+ * whole session is revoked.
+ * @param {string} refreshToken
+ * @param {Function} loadUser - Resolves the session's user (returns null if gone)
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: string }>}
+ * @throws {Error} With statusCode 401 when the token can't be used
+ */
+const rotateRefreshToken = async (refreshToken, loadUser) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!sessionId || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw unauthorized('Invalid refresh token');
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const nextToken = `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+  // Only the current token for a live session rotates; checked and updated in one step
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        expiresAt: refreshExpiry(),
+        lastUsedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(sessionId).select('+refreshTokenHash');
+    if (existing && !existing.revokedAt && existing.refreshTokenHash !== presentedHash) {
+      await revokeSession(existing._id, 'token_reuse');
+    }
+    throw unauthorized('Invalid refresh token');
+  }
+
+  const user = await loadUser(session.userId);
+  if (!user) {
+    await revokeSession(session._id, 'user_removed');
+    throw unauthorized('Invalid refresh token');
+  }
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: nextToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+/**
+ * Check that an access token's session is still live
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (decoded) => {
+  if (!decoded.sid || !String(decoded.sid).match(/^[0-9a-fA-F]{24}$/)) return false;
+  const session = await Session.exists({
+    _id: decoded.sid,
+    userId: decoded.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(session);
+};
+
+/**
+ * Revoke one session
+ * @param {string} sessionId
+ * @param {string} [reason]
+ */
+const revokeSession = (sessionId, reason = 'logout') =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+/**
+ * Revoke every session a user has, logging them out everywhere
+ * @param {string} userId
+ * @param {string} [reason]
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  const { modifiedCount } = await Session.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return modifiedCount;
+};
+
+/**
+ * Create a single-use emailed token, replacing any unused one of the same type
+ * @param {string} userId
+ * @param {string} type - password_reset | email_verification
+ * @param {number} ttlMinutes
+ * @returns {Promise<string>} The raw token, to put in a link
+ */
+const createUserToken = async (userId, type, ttlMinutes) => {
+  await UserToken.updateMany({ userId, type, usedAt: null }, { $set: { usedAt: new Date() } });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+
+  return token;
+};
+
+/**
+ * Use up an emailed token
+ * @param {string} token
+ * @param {string} type
+ * @returns {Promise<Object|null>} The token document (with userId), or null if invalid, used or expired
+ */
+const consumeUserToken = (token, type) =>
+  UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token || '')),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  hashToken,
+  REFRESH_TOKEN_DAYS,
+  createUserToken,
+  consumeUserToken,
+  issueTokens,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions
+};
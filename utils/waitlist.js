@@ -0,0 +1,167 @@
+// utils/waitlist.js
+
+const crypto = require('crypto');
+const cron = require('node-cron');
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { getDayRange } = require('./time');
+const { getAvailability } = require('./availability');
+const { refreshTimeSlot, placeBooking } = require('./bookings');
+const { statusEntry } = require('./bookingStatus');
+const { notify } = require('./notifications');
+const { hashToken } = require('./tokens');
+
+// How long a waitlisted customer has to claim an offered slot
+const CLAIM_MINUTES = parseInt(process.env.WAITLIST_CLAIM_MINUTES, 10) || 30;
+
+/**
+ * Build the link a customer follows to claim an offered slot
+ * @param {string} token
+ * @returns {string}
+ */
+const getClaimUrl = (token) =>
+  `${process.env.FRONTEND_URL || 'https://beauty-parlour-delta.vercel.app'}/waitlist/claim?token=${token}`;
+
+/**
+ * Offer free time on a date to the first waitlisted customer it suits
+ * The slot is held for them as a pending booking until the claim link expires.
+ * @param {Date} date
+ * @param {string} [preferredTime] - The time that was just freed, offered first if it fits
+ * @returns {Promise<Object|null>} The entry that was notified, if any
+ */
+const offerFreedSlot = async (date, preferredTime) => {
+  const { startOfDay, endOfDay } = getDayRange(date);
+
+  const entries = await WaitlistEntry.find({
+    status: 'waiting',
+    date: { $gte: startOfDay, $lte: endOfDay }
+  }).sort({ createdAt: 1 });
+
+  for (const entry of entries) {
+    const { availableTimes } = await getAvailability({
+      date: startOfDay,
+      serviceId: entry.serviceId,
+      staffId: entry.staffId
+    });
+
+    const inWindow = availableTimes.filter(time =>
+      (!entry.timeFrom || time >= entry.timeFrom) && (!entry.timeTo || time <= entry.timeTo)
+    );
+    if (!inWindow.length) continue;
+
+    const time = inWindow.includes(preferredTime) ? preferredTime : inWindow[0];
+    const token = crypto.randomBytes(32).toString('hex');
+    const claimExpiresAt = new Date(Date.now() + CLAIM_MINUTES * 60 * 1000);
+
+    const { booking } = await placeBooking({
+      name: entry.name,
+      phone: entry.phone,
+      email: entry.email,
+      language: entry.language,
+      service: entry.service,
+      serviceId: entry.serviceId,
+      staffId: entry.staffId,
+      date: startOfDay,
+      time
+    }, { status: 'pending', holdExpiresAt: claimExpiresAt });
+
+    if (!booking) continue;
+
+    entry.status = 'notified';
+    entry.offeredTime = time;
+    entry.bookingId = booking._id;
+    entry.claimTokenHash = hashToken(token);
+    entry.claimExpiresAt = claimExpiresAt;
+    entry.notifiedAt = new Date();
+    await entry.save();
+
+    await refreshTimeSlot(startOfDay);
+
+    // Send the offer with the claim link
+    await notify('waitlist.offered', { entry, claimUrl: getClaimUrl(token), claimMinutes: CLAIM_MINUTES });
+
+    return entry;
+  }
+
+  return null;
+};
+
+/**
+ * Offer slots freed by cancelled or deleted bookings to the waitlist
+ * Never throws: a waitlist failure must not fail the cancellation itself.
+ * @param {Array} bookings - The bookings that no longer occupy their slots
+ */
+const notifyWaitlist = async (bookings) => {
+  for (const booking of bookings) {
+    try {
+      await offerFreedSlot(booking.date, booking.timeSlot || booking.time);
+    } catch (error) {
+      console.error('❌ Waitlist offer error:', error.message);
+    }
+  }
+};
+
+/**
+ * Expire offers that weren't claimed in time and pass the slot on,
+ * and close entries for days that have gone by
+ * @returns {Promise<number>} Number of offers expired
+ */
+const expireOffers = async () => {
+  const now = new Date();
+
+  const lapsed = await WaitlistEntry.find({
+    status: 'notified',
+    claimExpiresAt: { $lte: now }
+  });
+
+  for (const entry of lapsed) {
+    // Skip entries claimed between the find and now
+    const { modifiedCount } = await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'notified' },
+      { $set: { status: 'expired' } }
+    );
+    if (!modifiedCount) continue;
+
+    await Booking.updateOne(
+      { _id: entry.bookingId, status: 'pending' },
+      {
+        $set: { status: 'cancelled' },
+        $push: { statusHistory: statusEntry('pending', 'cancelled', { reason: 'Waitlist offer expired' }) }
+      }
+    );
+    await refreshTimeSlot(entry.date);
+    await offerFreedSlot(entry.date, entry.offeredTime);
+  }
+
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  await WaitlistEntry.updateMany(
+    { status: 'waiting', date: { $lt: today } },
+    { $set: { status: 'expired' } }
+  );
+
+  return lapsed.length;
+};
+
+/**
+ * Check for lapsed offers every minute
+ * @returns {Object} The scheduled cron task
+ */
+const start = () => cron.schedule('* * * * *', async () => {
+  try {
+    const expired = await expireOffers();
+    if (expired) {
+      console.log(`⏱️  Expired ${expired} waitlist offer(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Waitlist sweeper error:', error.message);
+  }
+});
+
+module.exports = {
+  CLAIM_MINUTES,
+  offerFreedSlot,
+  notifyWaitlist,
+  expireOffers,
+  start
+};